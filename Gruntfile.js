@@ -88,7 +88,15 @@ module.exports = function(grunt) {
           'sort-by': ['order'],
           template: fs.readFileSync('jsdoc2md/README.hbs', 'utf8'),
         },
-        src: ['lib/MySQLPlus.js', 'lib/PoolPlus.js', 'lib/Connection.js', 'lib/MySQLTable.js'],
+        src: [
+          'lib/MySQLPlus.js',
+          'lib/PoolPlus.js',
+          'lib/Connection.js',
+          'lib/MySQLTable.js',
+          'lib/QueryBuilder.js',
+          'lib/ValidationError.js',
+          'lib/NotFoundError.js',
+        ],
         dest: 'README.md',
       },
     },
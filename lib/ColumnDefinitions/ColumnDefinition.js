@@ -1,6 +1,7 @@
 'use strict';
 
 const mysql = require('mysql');
+const normalizeExpression = require('../utils/normalizeExpression');
 
 function escapeDefault(value) {
   if (typeof value === 'boolean') {
@@ -13,9 +14,32 @@ function escapeDefault(value) {
   return mysql.escape(value);
 }
 
+// bit(1) columns are booleans and other bit columns are numbers (unless they are too big to be numbers)
+function castBit(buffer, m) {
+  if (buffer === null) {
+    return null;
+  }
+  if (m === undefined || m === 1) {
+    return buffer[0] === 1;
+  }
+  return buffer.length <= 6 ? buffer.readUIntBE(0, buffer.length) : buffer;
+}
+
+function isRawValue(value) {
+  return typeof value === 'object' && value !== null && typeof value.toSqlString === 'function';
+}
+
+function generatedEquals(a, b) {
+  if (a === null || b === null) {
+    return a === b;
+  }
+  return a.type === b.type && normalizeExpression(a.expression) === normalizeExpression(b.expression);
+}
+
 class ColumnDefinition {
   constructor(type, m, d) {
     this._baseType = type;
+    this._m = m;
     if (m === null || m === undefined) {
       this.$hasLength = false;
       this._type = type;
@@ -32,6 +56,7 @@ class ColumnDefinition {
     this.$unique = false;
     this.$index = false;
     this.$oldName = null;
+    this.$generated = null;
     this._notNull = false;
     this._default = undefined;
   }
@@ -67,11 +92,51 @@ class ColumnDefinition {
     return this;
   }
 
+  generatedAs(expression, type) {
+    type = type === undefined ? 'VIRTUAL' : String(type).toUpperCase();
+    if (type !== 'VIRTUAL' && type !== 'STORED') {
+      throw new TypeError('The generated column type must be either "VIRTUAL" or "STORED"');
+    }
+    this.$generated = {expression, type};
+    return this;
+  }
+
   $defaultRaw(value) {
     this._default = value;
     return this;
   }
 
+  $castValue(field, next) {
+    switch (this._baseType) {
+      case 'json': {
+        const value = field.string();
+        return value === null ? null : JSON.parse(value);
+      }
+      case 'bit':
+        return castBit(field.buffer(), this._m);
+      default:
+        return next();
+    }
+  }
+
+  $serializeValue(value) {
+    if (this._baseType === 'json' && value !== null && value !== undefined && !isRawValue(value)) {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  $isRequired() {
+    return this._notNull && this._default === undefined && this.$generated === null;
+  }
+
+  $validate(value) {
+    if (value === null || value === undefined) {
+      return this._notNull ? 'cannot be null' : null;
+    }
+    return isRawValue(value) ? null : this.__validateValue(value);
+  }
+
   $equals(columnDefinition) {
     var thisType = this._type;
     var otherType = columnDefinition._type;
@@ -87,6 +152,9 @@ class ColumnDefinition {
     if (thisType !== otherType || this._notNull !== columnDefinition._notNull) {
       return false;
     }
+    if (!generatedEquals(this.$generated, columnDefinition.$generated)) {
+      return false;
+    }
     if (this._default === columnDefinition._default) {
       return true;
     }
@@ -103,10 +171,13 @@ class ColumnDefinition {
   $toSQL() {
     var sql = this._type + this.__getExtendedType();
 
+    if (this.$generated !== null) {
+      sql += ' GENERATED ALWAYS AS (' + this.$generated.expression + ') ' + this.$generated.type;
+    }
     if (this._notNull) {
       sql += ' NOT NULL';
     }
-    if (this._default !== undefined) {
+    if (this._default !== undefined && this.$generated === null) { // Generated columns cannot have a default
       sql += ' DEFAULT ' + this._default;
     }
 
@@ -116,6 +187,10 @@ class ColumnDefinition {
   __getExtendedType() { // eslint-disable-line class-methods-use-this
     return '';
   }
+
+  __validateValue() { // eslint-disable-line class-methods-use-this
+    return null;
+  }
 }
 
 module.exports = ColumnDefinition;
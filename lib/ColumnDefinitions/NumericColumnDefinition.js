@@ -2,6 +2,15 @@
 
 const ColumnDefinition = require('./ColumnDefinition');
 
+// The [min, max, unsigned max] values of each integer type
+const INTEGER_RANGES = {
+  tinyint: ['-128', '127', '255'],
+  smallint: ['-32768', '32767', '65535'],
+  mediumint: ['-8388608', '8388607', '16777215'],
+  int: ['-2147483648', '2147483647', '4294967295'],
+  bigint: ['-9223372036854775808', '9223372036854775807', '18446744073709551615'],
+};
+
 class NumericColumnDefinition extends ColumnDefinition {
   constructor(type, m, d) {
     super(type, m, d);
@@ -26,6 +35,31 @@ class NumericColumnDefinition extends ColumnDefinition {
     return this;
   }
 
+  $castValue(field, next) {
+    // Decimals with up to 15 digits can be represented exactly as a number
+    const isBool = this._baseType === 'tinyint' && this._m === 1;
+    const isExactDecimal = this._baseType === 'decimal' && (this._m === undefined || this._m <= 15);
+
+    if (!isBool && !isExactDecimal) {
+      return next();
+    }
+
+    const value = field.string();
+    if (value === null) {
+      return null;
+    }
+    return isBool ? value !== '0' : +value;
+  }
+
+  $isRequired() {
+    return super.$isRequired() && !this._autoIncrement;
+  }
+
+  $validate(value) {
+    // Inserting NULL into an AUTO_INCREMENT column generates the next value
+    return (value === null || value === undefined) && this._autoIncrement ? null : super.$validate(value);
+  }
+
   $equals(columnDefinition) {
     return super.$equals(columnDefinition) &&
       this._unsigned === columnDefinition._unsigned &&
@@ -46,6 +80,21 @@ class NumericColumnDefinition extends ColumnDefinition {
     }
     return extendedType;
   }
+
+  __validateValue(value) {
+    if (typeof value !== 'number') {
+      return null; // Let MySQL convert other types
+    }
+
+    const range = INTEGER_RANGES[this._baseType];
+    if (range === undefined) {
+      return this._unsigned && value < 0 ? 'must not be negative' : null;
+    }
+
+    const min = this._unsigned ? '0' : range[0];
+    const max = this._unsigned ? range[2] : range[1];
+    return value < +min || value > +max ? `must be between ${min} and ${max}` : null;
+  }
 }
 
 module.exports = NumericColumnDefinition;
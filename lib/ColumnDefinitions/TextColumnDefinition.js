@@ -25,6 +25,22 @@ class TextColumnDefinition extends ColumnDefinition {
     return this;
   }
 
+  $castValue(field, next) {
+    if (this._baseType !== 'set') {
+      return next();
+    }
+
+    const value = field.string();
+    if (value === null) {
+      return null;
+    }
+    return value === '' ? [] : value.split(',');
+  }
+
+  $serializeValue(value) {
+    return this._baseType === 'set' && Array.isArray(value) ? value.join(',') : value;
+  }
+
   $equals(columnDefinition, columnTableSchema) {
     if (!super.$equals(columnDefinition)) {
       return false;
@@ -64,6 +80,39 @@ class TextColumnDefinition extends ColumnDefinition {
     }
     return extendedType;
   }
+
+  __validateValue(value) {
+    switch (this._baseType) {
+      case 'enum':
+        return typeof value === 'string' && this._m.indexOf(value) < 0
+          ? 'must be one of ' + formatValues(this._m)
+          : null;
+      case 'set': {
+        const values = typeof value === 'string' ? value.split(',').filter(Boolean) : value;
+        if (!Array.isArray(values)) {
+          return null;
+        }
+        const invalidValues = values.filter(v => this._m.indexOf(v) < 0);
+        return invalidValues.length > 0
+          ? `has values that are not in the set (${formatValues(invalidValues)})`
+          : null;
+      }
+      case 'char':
+      case 'varchar': {
+        const maxLength = this._m === undefined ? 1 : this._m;
+        // MySQL counts characters by code point, so a surrogate pair is a single character
+        return typeof value === 'string' && value.length > maxLength && Array.from(value).length > maxLength
+          ? `must be at most ${maxLength} characters long`
+          : null;
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+function formatValues(values) {
+  return values.map(value => "'" + value + "'").join(', ');
 }
 
 module.exports = TextColumnDefinition;
@@ -9,7 +9,7 @@ class UpdatableTimeColumnDefinition extends ColumnDefinition {
   }
 
   defaultCurrentTimestamp() {
-    return this.$defaultRaw('CURRENT_TIMESTAMP');
+    return this.$defaultRaw(currentTimestamp(this._m));
   }
 
   onUpdateCurrentTimestamp() {
@@ -23,8 +23,13 @@ class UpdatableTimeColumnDefinition extends ColumnDefinition {
   }
 
   __getExtendedType() {
-    return this._onUpdateCurrentTimestamp ? ' ON UPDATE CURRENT_TIMESTAMP' : '';
+    return this._onUpdateCurrentTimestamp ? ' ON UPDATE ' + currentTimestamp(this._m) : '';
   }
 }
 
+// Columns with fractional seconds must use a CURRENT_TIMESTAMP with the same precision
+function currentTimestamp(fsp) {
+  return fsp ? 'CURRENT_TIMESTAMP(' + fsp + ')' : 'CURRENT_TIMESTAMP';
+}
+
 module.exports = UpdatableTimeColumnDefinition;
@@ -0,0 +1,27 @@
+'use strict';
+
+const {escapeId} = require('mysql/lib/protocol/SqlString');
+const normalizeExpression = require('../utils/normalizeExpression');
+
+class CheckConstraintDefinition {
+  constructor(name, expression) {
+    this.$name = name;
+    this._expression = expression;
+  }
+
+  name(name) {
+    this.$name = name;
+    return this;
+  }
+
+  $equals(otherCheck) {
+    return this.$name === otherCheck.$name &&
+      normalizeExpression(this._expression) === normalizeExpression(otherCheck._expression);
+  }
+
+  $toSQL() {
+    return `CONSTRAINT ${escapeId(this.$name)} CHECK (${this._expression})`;
+  }
+}
+
+module.exports = CheckConstraintDefinition;
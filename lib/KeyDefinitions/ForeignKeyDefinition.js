@@ -58,11 +58,24 @@ class ForeignKeyDefinition {
       : this._name + '_' + this._tableName;
   }
 
+  get $referenceTable() {
+    return this._referenceTable;
+  }
+
+  get $referenceColumns() {
+    return this._referenceColumns;
+  }
+
   // The table name is used to help ensure that the foreign key's constraint name will be unique
   $setTableName(tableName) {
     this._tableName = tableName;
   }
 
+  // Used to update the key when the table it references is renamed
+  $setReferenceTable(tableName) {
+    this._referenceTable = tableName;
+  }
+
   $equals(otherKey) {
     return this.$name === otherKey.$name &&
       arraysEqual(this.$columns, otherKey.$columns) &&
@@ -8,6 +8,7 @@ class IndexKeyDefinition {
   constructor(type, namePrefix, keyParts) {
     const {columnNames, formattedKeyParts} = parseKeyParts(keyParts);
     this.$name = namePrefix + '_' + columnNames.join('_');
+    this.$columnNames = columnNames;
     this._type = type;
     this._keyParts = formattedKeyParts;
   }
@@ -17,6 +18,10 @@ class IndexKeyDefinition {
     return this;
   }
 
+  $isUnique() {
+    return this._type === 'UNIQUE INDEX';
+  }
+
   $equals(otherKey) {
     return this._type === otherKey._type &&
       this.$name === otherKey.$name &&
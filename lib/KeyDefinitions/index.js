@@ -3,6 +3,7 @@
  */
 'use strict';
 
+const CheckConstraintDefinition = require('./CheckConstraintDefinition');
 const ForeignKeyDefinition = require('./ForeignKeyDefinition');
 const IndexKeyDefinition = require('./IndexKeyDefinition');
 
@@ -33,6 +34,12 @@ const KeyDefinitions = {
     throwIfNoColumns(columns);
     return new ForeignKeyDefinition(columns);
   },
+  check(name, expression) {
+    if (typeof name !== 'string' || typeof expression !== 'string') {
+      throw new TypeError('A check constraint must have a name and an expression');
+    }
+    return new CheckConstraintDefinition(name, expression);
+  },
 };
 
 module.exports = KeyDefinitions;
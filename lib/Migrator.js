@@ -0,0 +1,168 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const runSequentially = require('./utils/runSequentially');
+const runTransaction = require('./utils/runTransaction');
+
+const MIGRATIONS_TABLE = 'mysql_plus_migrations';
+const LOCK_NAME = 'mysql_plus_migrations';
+const LOCK_TIMEOUT = 60; // Seconds
+
+const rgxMigrationFile = /^(\d+).*\.js$/;
+
+class Migrator {
+  constructor(pool, directory) {
+    this._pool = pool;
+    this._directory = path.resolve(directory);
+  }
+
+  // The lock is held on a single connection, so all of the migration queries are performed on that
+  // connection (using other pool connections could wait forever if the pool has no free connections)
+  migrate() {
+    return this._pool._withLock(LOCK_NAME, LOCK_TIMEOUT, connection => this._migrate(connection));
+  }
+
+  rollback(count) {
+    return this._pool._withLock(LOCK_NAME, LOCK_TIMEOUT, connection => this._rollback(connection, count));
+  }
+
+  generate(name, upStatements, downStatements) {
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const filePath = path.join(this._directory, timestamp + '_' + name + '.js');
+    const content =
+      "'use strict';\n\n" +
+      'const up = ' + formatStatements(upStatements) + ';\n\n' +
+      '// This was generated on a best-effort basis, so be sure to check that it correctly reverses `up`\n' +
+      'const down = ' + formatStatements(downStatements) + ';\n\n' +
+      'function run(trxn, statements) {\n' +
+      '  return statements.reduce((promise, sql) => promise.then(() => trxn.pquery(sql)), Promise.resolve());\n' +
+      '}\n\n' +
+      'module.exports = {\n' +
+      '  up: trxn => run(trxn, up),\n' +
+      '  down: trxn => run(trxn, down),\n' +
+      '};\n';
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(filePath, content, {flag: 'wx'}, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(filePath);
+        }
+      });
+    });
+  }
+
+  _migrate(connection) {
+    return Promise.all([this._loadMigrations(), getCompletedMigrationNames(connection)])
+      .then(([migrations, completedNames]) => {
+        const pendingMigrations = migrations.filter(migration => completedNames.indexOf(migration.name) < 0);
+
+        return runSequentially(pendingMigrations, migration => this._runMigration(connection, migration, 'up'))
+          .then(() => pendingMigrations.map(getName));
+      });
+  }
+
+  _rollback(connection, count) {
+    return Promise.all([this._loadMigrations(), getCompletedMigrationNames(connection)])
+      .then(([migrations, completedNames]) => {
+        const migrationsToRollBack = [];
+
+        for (const name of completedNames.reverse().slice(0, count)) {
+          const migration = migrations.find(m => m.name === name);
+          if (migration === undefined) {
+            throw new Error(`Cannot roll back the "${name}" migration because its file could not be found`);
+          }
+          migrationsToRollBack.push(migration);
+        }
+
+        return runSequentially(migrationsToRollBack, migration => this._runMigration(connection, migration, 'down'))
+          .then(() => migrationsToRollBack.map(getName));
+      });
+  }
+
+  _loadMigrations() {
+    return new Promise((resolve, reject) => {
+      fs.readdir(this._directory, (err, fileNames) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const migrations = [];
+
+        for (const fileName of fileNames) {
+          const match = rgxMigrationFile.exec(fileName);
+          if (match === null) {
+            continue;
+          }
+
+          var migrationModule;
+          try {
+            migrationModule = require(path.join(this._directory, fileName));
+          } catch (loadError) {
+            reject(new Error(`The "${fileName}" migration could not be loaded: ${loadError.message}`));
+            return;
+          }
+
+          if (typeof migrationModule.up !== 'function' || typeof migrationModule.down !== 'function') {
+            reject(new Error(`The "${fileName}" migration must export an \`up\` and a \`down\` function`));
+            return;
+          }
+
+          migrations.push({
+            name: fileName.slice(0, -3),
+            number: +match[1],
+            up: migrationModule.up,
+            down: migrationModule.down,
+          });
+        }
+
+        migrations.sort((a, b) => a.number - b.number || (a.name < b.name ? -1 : 1));
+
+        resolve(migrations);
+      });
+    });
+  }
+
+  // Uses the same transaction code as `pool.transaction()`, but runs it on the lock connection instead
+  // of getting another connection from the pool (which could wait forever if the pool has no free connections)
+  _runMigration(connection, migration, direction) {
+    return runTransaction(connection, () => {
+      return Promise.resolve(migration[direction](connection, this._pool)).then(() => {
+        return direction === 'up'
+          ? connection.pquery('INSERT INTO ?? (`name`) VALUES (?)', [MIGRATIONS_TABLE, migration.name])
+          : connection.pquery('DELETE FROM ?? WHERE `name` = ?', [MIGRATIONS_TABLE, migration.name]);
+      });
+    });
+  }
+}
+
+function getCompletedMigrationNames(connection) {
+  return connection.pquery(
+    'CREATE TABLE IF NOT EXISTS ?? (' +
+      '`id` int unsigned NOT NULL AUTO_INCREMENT PRIMARY KEY, ' +
+      '`name` varchar(255) NOT NULL UNIQUE, ' +
+      '`migrated` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP' +
+    ')',
+    [MIGRATIONS_TABLE]
+  )
+    .then(() => connection.pquery('SELECT `name` FROM ?? ORDER BY `id`', [MIGRATIONS_TABLE]))
+    .then(rows => rows.map(row => row.name));
+}
+
+function formatStatements(statements) {
+  if (statements.length === 0) {
+    return '[]';
+  }
+  return '[\n' + statements.map(sql => '  ' + JSON.stringify(sql) + ',\n').join('') + ']';
+}
+
+function getName(migration) {
+  return migration.name;
+}
+
+Migrator.MIGRATIONS_TABLE = MIGRATIONS_TABLE;
+
+module.exports = Migrator;
@@ -2,7 +2,9 @@
 
 const ColumnDefinitions = require('./ColumnDefinitions');
 const KeyDefinitions = require('./KeyDefinitions');
+const NotFoundError = require('./NotFoundError');
 const PoolPlus = require('./PoolPlus');
+const ValidationError = require('./ValidationError');
 
 const mysql = require('mysql');
 
@@ -29,8 +31,24 @@ const MySQLPlus = Object.assign({}, mysql, {
    *     Defaults to `safe` in production and `alter` everywhere else.
    * @param {boolean} [config.plusOptions.allowAlterInProduction=false] - Setting this to `true` will
    *     allow `alter` to be used as a migration strategy in production environments.
+   * @param {boolean} [config.plusOptions.dropUndefinedTables=false] - If set to `true`,
+   *     {@link PoolPlus#sync|syncing} will drop tables in the database that have not been defined.
+   *     This is ignored in production environments and when the `migrationStrategy` is `safe`.
+   * @param {Array<string|RegExp>} [config.plusOptions.keepTables] - Names of (or patterns that match)
+   *     tables that should not be dropped by the `dropUndefinedTables` option. The tables that
+   *     `mysql-plus` uses to keep track of migrations and syncing are never dropped.
    * @param {boolean} [config.plusOptions.debug=false] - If set to `true`, all of the SQL operations
    *     that will be performed will be printed to the console.
+   * @param {string} [config.plusOptions.syncLockName='mysql_plus_sync'] - The name of the lock that is held
+   *     while {@link PoolPlus#sync|syncing}. Locks are shared by all databases on a MySQL server, so pools
+   *     that sync different databases on the same server should use different lock names.
+   * @param {number} [config.plusOptions.syncLockTimeout=60] - The number of seconds to wait to get the sync
+   *     lock before `sync()` fails with an error.
+   * @param {boolean} [config.plusOptions.syncJournal=false] - If set to `true`, each operation that is run
+   *     while {@link PoolPlus#sync|syncing} is recorded in the `mysql_plus_sync_journal` table (which
+   *     is created if it does not exist) along with the operation that failed, if there was an error.
+   * @param {string} [config.plusOptions.migrationsDir] - The path to a directory of migration files.
+   *     Please see the migrations documentation [here](#migrations).
    * @returns {PoolPlus} A new `PoolPlus` instance.
    *
    * @example
@@ -43,6 +61,7 @@ const MySQLPlus = Object.assign({}, mysql, {
    *     migrationStrategy: 'safe',
    *     allowAlterInProduction: true,
    *     debug: true,
+   *     migrationsDir: path.join(__dirname, 'migrations'),
    *   },
    * });
    */
@@ -88,6 +107,20 @@ const MySQLPlus = Object.assign({}, mysql, {
    * });
    */
   KeyTypes: KeyDefinitions,
+
+  /**
+   * The class of the errors caused by data that does not match a table's
+   * column definitions (see {@link ValidationError|`ValidationError`}).
+   *
+   * @see [Validation](#validation)
+   */
+  ValidationError,
+
+  /**
+   * The class of the errors caused by looking up a row that does not exist
+   * (see {@link NotFoundError|`NotFoundError`}).
+   */
+  NotFoundError,
 });
 
 /**
@@ -1,5 +1,28 @@
 'use strict';
 
+const ForeignKeyDefinition = require('./KeyDefinitions/ForeignKeyDefinition');
+const IndexKeyDefinition = require('./KeyDefinitions/IndexKeyDefinition');
+const NotFoundError = require('./NotFoundError');
+const PrimaryKeyDefinition = require('./KeyDefinitions/PrimaryKeyDefinition');
+const QueryBuilder = require('./QueryBuilder');
+const ValidationError = require('./ValidationError');
+
+const {PassThrough} = require('stream');
+const {addWhereCondition, hasJoinClause} = require('./utils/addWhereCondition');
+const arraysEqual = require('./utils/arraysEqual');
+const getTimestampsOptions = require('./utils/getTimestampsOptions');
+const promiseOrCallback = require('./utils/promiseOrCallback');
+const {formatConditions} = require('./utils/formatConditions');
+
+const DEFAULT_INSERT_CHUNK_SIZE = 1000;
+const PACKET_OVERHEAD = 1024; // Bytes reserved for the protocol when using `max_allowed_packet` as the chunk size
+const AGGREGATE_NUMBER_TYPES = ['LONGLONG', 'NEWDECIMAL']; // Types that mysql may convert to imprecise numbers
+const ROW_ALIAS_MIN_VERSION = [8, 0, 19]; // The first MySQL version that supports `INSERT ... AS alias`
+const JOIN_TYPES = ['INNER', 'LEFT'];
+const JOINED_COLUMN_SEPARATOR = '__'; // Separates the table name and column name in the aliases of joined columns
+const HOOK_NAMES = ['beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+const BINARY_CHARSET = 63; // The character set number of binary values (which mysql returns as Buffers)
+
 /**
  * A class that provides convenient methods for performing queries.<br>To create
  * an instance, use {@link PoolPlus#defineTable|`poolPlus.defineTable()`} or
@@ -15,7 +38,8 @@ class MySQLTable {
      */
     this.name = name;
     /**
-     * The table's schema (as passed to {@link PoolPlus#defineTable|`poolPlus.defineTable()`}).
+     * The table's schema (as passed to {@link PoolPlus#defineTable|`poolPlus.defineTable()`}, or a copy of
+     * it with the columns added for the `softDelete` and `timestamps` options if those columns were not defined).
      * @constant {Object}
      */
     this.schema = schema;
@@ -33,13 +57,26 @@ class MySQLTable {
 
     this._db = trxn || pool;
     this._escapedName = this._db.escapeId(name);
+    this._generatedColumns = getGeneratedColumns(schema);
+    this._primaryKeyColumns = getPrimaryKeyColumns(schema);
+    this._keyColumns = getKeyColumns(schema, this._primaryKeyColumns);
+    this._validate = schema !== undefined && Boolean(schema.validate);
+    this._typeCast = schema !== undefined && schema.typeCast
+      ? createTypeCast(name, schema.columns, this._db)
+      : null;
+    this._softDeleteColumn = schema !== undefined && schema.softDelete !== undefined ? schema.softDelete : null;
+    this._deletedRows = 'exclude'; // Which soft-deleted rows are queried: 'exclude', 'include', or 'only'
+    this._timestamps = getTimestampsOptions(schema);
+    this._relations = new Map();
+    this._hooks = new Map();
   }
 
   /**
    * Selects data from the table.
    *
    * @param {string[]|string} columns - An array of columns to select or a custom `SELECT` string.
-   * @param {string} [sqlString] - SQL to be appended to the query after the `FROM table` clause.
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `FROM table` clause
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
    * @param {Array} [values] - Values to replace the placeholders in `sqlString` and `columns`.
    * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
    * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
@@ -84,27 +121,255 @@ class MySQLTable {
    *   .then(rows => console.log(rows)); // -> [{highScorers: 27}]
    *
    * // SELECT COUNT(*) AS `highScorers` FROM `user` WHERE `points` > 10000;
+   *
+   * @example <caption>Select with a conditions object</caption>
+   * userTable.select('*', {status: ['active', 'invited'], deletedAt: null, points: {$gte: 100}})
+   *   .then(rows => console.log(rows)); // -> [{id: 1, email: 'email@example.com', ...}, ...]
+   *
+   * // SELECT * FROM `user`
+   * // WHERE `status` IN ('active', 'invited') AND `deletedAt` IS NULL AND `points` >= 100;
    */
   select(columns, sqlString, values, cb) {
-    if (typeof columns !== 'string') {
-      columns = this._db.escapeId(columns);
-    }
     if (typeof sqlString === 'function') {
       values = sqlString;
       sqlString = '';
+    } else if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+      cb = values;
+      values = undefined;
     }
 
-    return this._db.pquery(
-      'SELECT ' + columns + ' FROM ' + this._escapedName + ' ' + sqlString,
-      values,
-      cb
-    );
+    return this._db.pquery(this._formatSelectQuery(columns, sqlString), values, cb);
+  }
+
+  /**
+   * Selects data from the table and returns a readable stream of the selected rows instead
+   * of loading all of the rows into memory at once (like {@link MySQLTable#select|`select()`} does).
+   * Useful for processing result sets that are too large to fit in memory.
+   *
+   * The query is made with its own connection from the pool (or with the transaction connection if
+   * the table was created by {@link MySQLTable#transacting|`table.transacting()`}). Rows are read
+   * from the server only as fast as the stream is consumed. The connection is released once all of
+   * the rows have been read or if the stream is destroyed before that.
+   *
+   * @param {string[]|string} columns - An array of columns to select or a custom `SELECT` string.
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `FROM table` clause
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString` and `columns`.
+   * @param {Object} [options] - An optional options object.
+   * @param {number} [options.highWaterMark=16] - The maximum number of rows to buffer before
+   *     pausing the query.
+   * @returns {stream.Readable} An object mode stream of the selected rows.
+   *
+   * @example
+   * userTable.stream(['id', 'email'], 'WHERE `points` > ?', [100], {highWaterMark: 100})
+   *   .pipe(csvTransform)
+   *   .pipe(fs.createWriteStream('users.csv'));
+   *
+   * // SELECT `id`, `email` FROM `user` WHERE `points` > 100;
+   */
+  stream(columns, sqlString, values, options) {
+    if (sqlString === undefined) {
+      sqlString = '';
+    } else if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+      options = values;
+      values = undefined;
+    }
+    if (isConditionsObject(values)) {
+      options = values;
+      values = undefined;
+    }
+
+    const {highWaterMark} = options || {};
+    const query = this._formatSelectQuery(columns, sqlString);
+    const rowStream = new PassThrough({objectMode: true, highWaterMark});
+
+    const streamRows = (connection, release, abort) => {
+      const queryStream = connection.query(query, values).stream({highWaterMark});
+      var finished = false;
+
+      queryStream.on('end', () => {
+        if (!finished) {
+          finished = true;
+          release();
+        }
+      });
+      queryStream.on('error', (err) => {
+        finished = true;
+        queryStream.unpipe(rowStream);
+        release();
+        rowStream.destroy(err);
+      });
+      rowStream.on('close', () => {
+        if (!finished) { // Destroyed before all of the rows were read
+          finished = true;
+          queryStream.unpipe(rowStream);
+          abort(queryStream);
+        }
+      });
+
+      queryStream.pipe(rowStream);
+    };
+
+    if (this.trxn === undefined) {
+      this.pool.getConnection((err, connection) => {
+        if (err) {
+          rowStream.destroy(err);
+          return;
+        }
+        if (rowStream.destroyed) {
+          connection.release();
+          return;
+        }
+        streamRows(connection, () => connection.release(), () => connection.destroy());
+      });
+    } else {
+      // The transaction connection must stay usable, so the remaining rows are read and discarded
+      streamRows(this.trxn, noop, queryStream => queryStream.resume());
+    }
+
+    return rowStream;
+  }
+
+  /**
+   * The same as {@link MySQLTable#stream|`stream()`} except that it returns an async iterator
+   * of the selected rows (for use with `for await...of` loops). Breaking out of the loop early
+   * stops the query and releases the connection.
+   *
+   * This requires Node.js 10 or later (async iteration of streams is experimental in Node.js 10 and
+   * stable in Node.js 11.14 and later). On older versions, this method throws an error.
+   *
+   * @param {string[]|string} columns - An array of columns to select or a custom `SELECT` string.
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `FROM table` clause
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString` and `columns`.
+   * @param {Object} [options] - The same options as {@link MySQLTable#stream|`stream()`}.
+   * @returns {AsyncIterator} An async iterator of the selected rows.
+   *
+   * @example
+   * for await (const user of userTable.iterate('*', {status: 'active'})) {
+   *   await sendNewsletter(user.email);
+   * }
+   */
+  iterate(columns, sqlString, values, options) {
+    if (typeof Symbol.asyncIterator !== 'symbol' || typeof PassThrough.prototype[Symbol.asyncIterator] !== 'function') {
+      throw new Error('iterate() requires a version of Node.js that supports async iteration of streams (10+)');
+    }
+
+    return this.stream(columns, sqlString, values, options)[Symbol.asyncIterator]();
+  }
+
+  /**
+   * Selects the first row that matches the conditions.
+   *
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `FROM table` clause
+   *     (a `LIMIT 1` clause is added after it) or a [conditions object](#conditions-objects) that will
+   *     be used to create a `WHERE` clause.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the row or `null`.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with
+   *     the row (or `null` if no rows match) is returned.
+   *
+   * @example
+   * userTable.findOne({email: 'email@example.com'})
+   *   .then(user => console.log(user)); // -> {id: 5, email: 'email@example.com', ...}
+   *
+   * // SELECT * FROM `user` WHERE `email` = 'email@example.com' LIMIT 1;
+   */
+  findOne(sqlString, values, cb) {
+    if (typeof sqlString === 'function') {
+      cb = sqlString;
+      sqlString = '';
+    } else if (typeof values === 'function') {
+      cb = values;
+      values = undefined;
+    }
+    if (sqlString === undefined) {
+      sqlString = '';
+    } else if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+    }
+
+    const promise = this.select('*', (sqlString === '' ? '' : sqlString + ' ') + 'LIMIT 1', values)
+      .then(rows => (rows.length > 0 ? rows[0] : null));
+
+    return promiseOrCallback(promise, cb);
+  }
+
+  /**
+   * Selects the row with the given primary key. The primary key columns come from the
+   * table's schema, so this method can only be used with tables that were defined with
+   * a primary key.
+   *
+   * @param {*|Array|Object} id - The row's primary key value. For composite primary keys, either
+   *     an array of the key's values (in the same order as the key's columns) or an object of
+   *     (column name)-(value) pairs.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the row or `null`.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with
+   *     the row (or `null` if there is no row with the primary key) is returned.
+   *
+   * @example
+   * userTable.findById(5)
+   *   .then(user => console.log(user)); // -> {id: 5, email: 'email@example.com', ...}
+   *
+   * // SELECT * FROM `user` WHERE `id` = 5 LIMIT 1;
+   *
+   * @example <caption>Composite primary key</caption>
+   * // The schema has `primaryKey: ['accountID', 'userID']`
+   * membershipTable.findById([3, 5]); // Or: membershipTable.findById({accountID: 3, userID: 5})
+   *
+   * // SELECT * FROM `membership` WHERE `accountID` = 3 AND `userID` = 5 LIMIT 1;
+   */
+  findById(id, cb) {
+    const key = this._getPrimaryKeyConditions(id);
+    if (key instanceof Error) {
+      return failQuery(key, cb);
+    }
+
+    return this.findOne(key, cb);
+  }
+
+  /**
+   * The same as {@link MySQLTable#findById|`findById()`} except that if there is no row
+   * with the primary key, it fails with a {@link NotFoundError|`NotFoundError`}.
+   *
+   * @param {*|Array|Object} id - The row's primary key value (see {@link MySQLTable#findById|`findById()`}).
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the row.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with
+   *     the row is returned.
+   *
+   * @example
+   * userTable.findByIdOrFail(404)
+   *   .catch((err) => {
+   *     console.log(err instanceof mysql.NotFoundError); // true
+   *     console.log(err.message); // 'No row was found in the "user" table with id = 404'
+   *   });
+   */
+  findByIdOrFail(id, cb) {
+    const key = this._getPrimaryKeyConditions(id);
+    if (key instanceof Error) {
+      return failQuery(key, cb);
+    }
+
+    const promise = this.findOne(key).then((row) => {
+      if (row === null) {
+        throw new NotFoundError(this.name, key);
+      }
+      return row;
+    });
+
+    return promiseOrCallback(promise, cb);
   }
 
   /**
    * Checks if rows in the table exist.
    *
-   * @param {string} sqlString - SQL that specifies rows to check for existence.<br>
+   * @param {string|Object} sqlString - SQL that specifies rows to check for existence or a
+   *     [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.<br>
    *     The first example shows how this parameter is used in the query.
    * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
    * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
@@ -127,12 +392,20 @@ class MySQLTable {
    *   if (err) throw err;
    *   console.log(exists); // true or false
    * });
+   *
+   * @example <caption>Using a conditions object</caption>
+   * userTable.exists({email: 'email@example.com'})
+   *   .then(exists => console.log(exists)); // true or false
    */
   exists(sqlString, values, cb) {
     if (typeof values === 'function') {
       cb = values;
       values = undefined;
     }
+    if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+    }
+    sqlString = this._scopeSQL(sqlString);
 
     sqlString = 'SELECT EXISTS ( SELECT 1 FROM ' + this._escapedName + ' ' + sqlString + ' LIMIT 1 ) as `exists`';
 
@@ -152,11 +425,248 @@ class MySQLTable {
     return undefined;
   }
 
+  /**
+   * Selects a page of rows using keyset pagination, which (unlike pagination with `OFFSET`) stays fast
+   * no matter how far into the result set the page is because rows before the page are never read.
+   *
+   * Instead of a page number, each page is identified by a cursor (an opaque string) that encodes
+   * the values of the `orderBy` columns in the last row of the previous page. The table's primary
+   * key columns (if the table was defined with a schema) are automatically added to the end of the
+   * ordering as a tiebreaker so that every row has a unique position. For the best results, the
+   * `orderBy` columns should be `NOT NULL` and covered by an index.
+   *
+   * @param {Object} options - The pagination options.
+   * @param {Array<string|string[]>} [options.orderBy] - The columns to order the rows by. Each
+   *     item is either a column name or an array containing a column name and a direction
+   *     (`'ASC'` or `'DESC'`). Defaults to ordering by the primary key.
+   * @param {number} options.limit - The maximum number of rows in the page.
+   * @param {?string} [options.after] - The `nextCursor` returned with the previous page.
+   *     If omitted, the first page is selected.
+   * @param {string[]|string} [options.columns='*'] - An array of columns to select or a custom `SELECT` string.
+   *     If this is an array, the `orderBy` columns are added to it if they are not already included,
+   *     and if this is a string, the selected columns must include the `orderBy` columns.
+   * @param {string|Object} [options.where] - An SQL condition or a [conditions object](#conditions-objects)
+   *     that the rows must match.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     is returned. The results are an object with the page's `rows`, the `nextCursor` that can be
+   *     used to select the next page (`null` if there are no more rows), and `hasMore` which is
+   *     `true` if there are more rows after the page.
+   *
+   * @example
+   * const options = {orderBy: [['created', 'DESC']], where: {authorID: 5}, limit: 20};
+   *
+   * postTable.paginate(options)
+   *   .then(page => postTable.paginate(Object.assign({}, options, {after: page.nextCursor})))
+   *   .then(page => console.log(page)); // -> {rows: [...], nextCursor: 'W3siJGRhdGUiOi...', hasMore: true}
+   *
+   * // First page:
+   * // SELECT * FROM `post` WHERE `authorID` = 5 ORDER BY `created` DESC, `id` DESC LIMIT 21;
+   *
+   * // Second page:
+   * // SELECT * FROM `post` WHERE `authorID` = 5 AND (
+   * //   `created` < '2020-01-05 12:30:00' OR (`created` = '2020-01-05 12:30:00' AND `id` < 87)
+   * // ) ORDER BY `created` DESC, `id` DESC LIMIT 21;
+   */
+  paginate(options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = undefined;
+    }
+    options = options || {};
+
+    const {limit, after} = options;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return failQuery(new TypeError('The limit option must be a positive integer'), cb);
+    }
+
+    const ordering = this._getPaginationOrdering(options.orderBy || []);
+    if (ordering instanceof TypeError) {
+      return failQuery(ordering, cb);
+    }
+    const orderColumns = ordering.map(order => order.column);
+    const conditions = [];
+
+    if (options.where !== undefined) {
+      const whereClause = isConditionsObject(options.where)
+        ? formatConditions(options.where, this._db).join(' AND ')
+        : '(' + options.where + ')';
+      if (whereClause !== '') {
+        conditions.push(whereClause);
+      }
+    }
+
+    if (after !== undefined && after !== null) {
+      const cursorValues = decodeCursor(after);
+      if (cursorValues === null || cursorValues.length !== ordering.length) {
+        return failQuery(new TypeError(`Invalid cursor: ${after}`), cb);
+      }
+      conditions.push(this._formatKeysetCondition(ordering, cursorValues));
+    }
+
+    var columns = options.columns || '*';
+    if (Array.isArray(columns)) {
+      columns = columns.concat(orderColumns.filter(column => columns.indexOf(column) < 0));
+    }
+
+    const sqlString =
+      (conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') + ' ' : '') +
+      'ORDER BY ' + ordering.map(order => this._db.escapeId(order.column) + ' ' + order.direction).join(', ') +
+      ' LIMIT ' + (limit + 1); // Select an extra row to find out if there are more rows
+
+    const promise = this.select(columns, sqlString).then((rows) => {
+      const hasMore = rows.length > limit;
+      if (hasMore) {
+        rows.pop();
+      }
+
+      const lastRow = rows[rows.length - 1];
+      const nextCursor = hasMore ? encodeCursor(orderColumns.map(column => lastRow[column])) : null;
+
+      return {rows, nextCursor, hasMore};
+    });
+
+    return promiseOrCallback(promise, cb);
+  }
+
+  /**
+   * Counts the rows in the table.
+   *
+   * @param {string|Object} [sqlString] - SQL that specifies the rows to count (such as a `WHERE` clause)
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the number of rows.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will
+   *     resolve with the number of rows is returned.
+   *
+   * @example
+   * userTable.count({status: 'active'})
+   *   .then(count => console.log(count)); // 42
+   *
+   * // SELECT COUNT(*) AS `result` FROM `user` WHERE `status` = 'active';
+   */
+  count(sqlString, values, cb) {
+    return this._aggregate('COUNT(*)', sqlString, values, cb);
+  }
+
+  /**
+   * Calculates the sum of a column's values.
+   *
+   * The aggregate methods (`sum()`, `min()`, `max()`, and `avg()`) resolve with plain numbers
+   * (even if the `supportBigNumbers` and `bigNumberStrings` connection options are used) unless
+   * an integer result is too large to be represented exactly, in which case it is a `BigInt` (or a
+   * string on versions of Node.js older than 10.4, which do not support `BigInt`).
+   * If there are no matching rows, the result is `null`.
+   *
+   * @param {string} column - The name of the column.
+   * @param {string|Object} [sqlString] - SQL that specifies the rows to use (such as a `WHERE` clause)
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the sum.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will
+   *     resolve with the sum is returned.
+   *
+   * @example
+   * orderTable.sum('total', 'WHERE `created` >= ?', [startDate])
+   *   .then(sum => console.log(sum)); // 1234.5
+   *
+   * // SELECT SUM(`total`) AS `result` FROM `order` WHERE `created` >= '2020-01-01 00:00:00.000';
+   */
+  sum(column, sqlString, values, cb) {
+    return this._aggregate('SUM(' + this._db.escapeId(column) + ')', sqlString, values, cb);
+  }
+
+  /**
+   * Finds the minimum value of a column. The same as {@link MySQLTable#sum|`sum()`} except
+   * that non-numeric values (such as dates and strings) are also supported.
+   *
+   * @param {string} column - The name of the column.
+   * @param {string|Object} [sqlString] - SQL that specifies the rows to use or a conditions object.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the minimum value.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will
+   *     resolve with the minimum value is returned.
+   */
+  min(column, sqlString, values, cb) {
+    return this._aggregate('MIN(' + this._db.escapeId(column) + ')', sqlString, values, cb);
+  }
+
+  /**
+   * Finds the maximum value of a column. The same as {@link MySQLTable#sum|`sum()`} except
+   * that non-numeric values (such as dates and strings) are also supported.
+   *
+   * @param {string} column - The name of the column.
+   * @param {string|Object} [sqlString] - SQL that specifies the rows to use or a conditions object.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the maximum value.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will
+   *     resolve with the maximum value is returned.
+   */
+  max(column, sqlString, values, cb) {
+    return this._aggregate('MAX(' + this._db.escapeId(column) + ')', sqlString, values, cb);
+  }
+
+  /**
+   * Calculates the average of a column's values. The same as {@link MySQLTable#sum|`sum()`}.
+   *
+   * @param {string} column - The name of the column.
+   * @param {string|Object} [sqlString] - SQL that specifies the rows to use or a conditions object.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be the average.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will
+   *     resolve with the average is returned.
+   */
+  avg(column, sqlString, values, cb) {
+    return this._aggregate('AVG(' + this._db.escapeId(column) + ')', sqlString, values, cb);
+  }
+
+  /**
+   * Counts the rows in the table for each distinct value of a column.
+   *
+   * @param {string} column - The name of the column to group the rows by.
+   * @param {string|Object} [sqlString] - SQL that specifies the rows to count (such as a `WHERE` clause)
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
+   *     It is inserted before the `GROUP BY` clause, so it must not contain `ORDER BY` or `LIMIT` clauses.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be a `Map` of column values to counts.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will
+   *     resolve with a `Map` of column values to counts is returned.
+   *
+   * @example
+   * userTable.groupCount('status', {points: {$gt: 100}})
+   *   .then(counts => console.log(counts)); // Map { 'active' => 40, 'invited' => 2 }
+   *
+   * // SELECT `status` AS `value`, COUNT(*) AS `count` FROM `user`
+   * // WHERE `points` > 100 GROUP BY `status`;
+   */
+  groupCount(column, sqlString, values, cb) {
+    const escapedColumn = this._db.escapeId(column);
+    const promise = this._selectAggregate(
+      escapedColumn + ' AS `value`, COUNT(*) AS `count`',
+      'GROUP BY ' + escapedColumn,
+      sqlString,
+      values
+    );
+
+    return promiseOrCallback(
+      promise.then(rows => new Map(rows.map(row => [row.value, row.count]))),
+      getCallback(sqlString, values, cb)
+    );
+  }
+
   /**
    * Inserts data into a new row in the table.
    *
    * __Note:__ The `data` and `sqlString` arguments are individually
-   * optional but at least one of them must be specified.
+   * optional but at least one of them must be specified. If only the `sqlString` is specified,
+   * it is used as-is, so the [timestamps](#timestamps) are not set automatically and the
+   * inserted data is not [validated](#validation).
    *
    * @param {Object|Array} [data] - An object of (column name)-(data value) pairs or
    *     an array containing either 1) an array of arrays of data values or 2) an array
@@ -218,7 +728,9 @@ class MySQLTable {
    */
   insert(data, sqlString, values, cb) {
     if (typeof data === 'string') {
-      return this._db.pquery(
+      return this._writeQuery(
+        'Insert',
+        null,
         'INSERT INTO ' + this._escapedName + ' ' + data,
         sqlString,
         values
@@ -236,19 +748,32 @@ class MySQLTable {
       sqlString = '';
     }
 
+    data = Array.isArray(data) ? this._addBulkTimestamps(data) : this._addTimestamps(data, true, new Date());
+
+    const validationError = this._validateInsertData(data);
+    if (validationError !== null) {
+      return failQuery(validationError, cb);
+    }
+
     if (Array.isArray(data)) {
-      data = data.length > 1
-        ? ' (' + this._db.escapeId(data[0]) + ') VALUES ' + this._db.escape(data[1])
-        : ' VALUES ' + this._db.escape(data[0]);
+      // Rows without column names have a value for every column in the order of the columns in the schema
+      const columnNames = data.length > 1 ? data[0] : this._getSchemaColumnNames();
+      const rows = this._formatRows(columnNames, data[data.length - 1]);
+      const valuesSQL = (data.length > 1 ? ' (' + this._db.escapeId(columnNames) + ')' : '') +
+        ' VALUES ' + this._db.escape(rows);
 
-      return this._db.pquery(
-        'INSERT INTO ' + this._escapedName + data + ' ' + sqlString,
+      return this._writeQuery(
+        'Insert',
+        data,
+        'INSERT INTO ' + this._escapedName + valuesSQL + ' ' + sqlString,
         cb
       );
     }
 
-    return this._db.pquery(
-      'INSERT INTO ' + this._escapedName + ' SET ' + this._db.escape(data) + ' ' + sqlString,
+    return this._writeQuery(
+      'Insert',
+      data,
+      'INSERT INTO ' + this._escapedName + ' SET ' + this._db.escape(this._formatData(data)) + ' ' + sqlString,
       cb
     );
   }
@@ -301,14 +826,22 @@ class MySQLTable {
    * // );
    */
   insertIfNotExists(data, keyColumns, cb) {
+    data = this._addTimestamps(data, true, new Date());
+
+    const validationError = this._validateInsertData(data);
+    if (validationError !== null) {
+      return failQuery(validationError, cb);
+    }
+
     const db = this._db;
+    const insertData = this._formatData(data);
     var columnNames = '';
     var insertValues = '';
     var whereClause = '';
 
-    for (var dataColumnName in data) {
+    for (var dataColumnName in insertData) {
       columnNames += (columnNames ? ',' : '') + db.escapeId(dataColumnName);
-      insertValues += (insertValues ? ',' : '') + db.escape(data[dataColumnName]);
+      insertValues += (insertValues ? ',' : '') + db.escape(insertData[dataColumnName]);
     }
 
     for (var i = 0; i < keyColumns.length; i++) {
@@ -317,13 +850,210 @@ class MySQLTable {
         db.escapeId(keyColumnName) + '=' + db.escape(data[keyColumnName]);
     }
 
-    return db.pquery(
+    return this._writeQuery(
+      'Insert',
+      data,
       `INSERT INTO ${this._escapedName} (${columnNames}) SELECT ${insertValues} FROM DUAL ` +
         `WHERE NOT EXISTS(SELECT 1 FROM ${this._escapedName} WHERE ${whereClause} LIMIT 1)`,
       cb
     );
   }
 
+  /**
+   * Inserts many rows into the table using as few queries as possible without
+   * exceeding the server's `max_allowed_packet` size. The rows are split into chunks
+   * that are each inserted with a single `INSERT` statement, one chunk at a time.
+   *
+   * The columns that are inserted are all of the columns found in the row objects.
+   * If a row does not have a value for one of those columns, the column's default value is used.
+   *
+   * @param {Object[]} rows - An array of objects of (column name)-(data value) pairs.
+   * @param {Object} [options] - An optional options object.
+   * @param {number} [options.chunkSize=1000] - The maximum number of rows to insert with each query.
+   * @param {number} [options.maxBytes] - The maximum size of each query in bytes. Defaults to the
+   *     server's `max_allowed_packet` value (minus a small amount for the protocol overhead).
+   * @param {boolean} [options.transaction=false] - If `true`, all of the chunks will be inserted in a
+   *     single transaction so that either all of the rows are inserted or none of them are (this has no
+   *     effect if the table was created by {@link MySQLTable#transacting|`table.transacting()`} since
+   *     the queries will already be in that transaction).
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     is returned. The results are an object with the total number of `affectedRows` and the `insertIds`
+   *     array, which has the first `AUTO_INCREMENT` ID generated by each chunk.
+   *
+   * @example
+   * userTable.insertMany(users, {chunkSize: 500, transaction: true})
+   *   .then(result => console.log(result)); // -> {affectedRows: 1200, insertIds: [1, 501, 1001]}
+   *
+   * // INSERT INTO `user` (`email`, `name`) VALUES ('one@email.com', 'One'), ... -- 500 rows
+   * // INSERT INTO `user` (`email`, `name`) VALUES ... -- 500 rows
+   * // INSERT INTO `user` (`email`, `name`) VALUES ... -- 200 rows
+   */
+  insertMany(rows, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = undefined;
+    }
+    options = options || {};
+
+    const chunkSize = options.chunkSize === undefined ? DEFAULT_INSERT_CHUNK_SIZE : options.chunkSize;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      return failQuery(new TypeError('The chunkSize option must be a positive integer'), cb);
+    }
+    if (options.maxBytes !== undefined && (!Number.isInteger(options.maxBytes) || options.maxBytes < 1)) {
+      return failQuery(new TypeError('The maxBytes option must be a positive integer'), cb);
+    }
+
+    if (rows.length === 0) {
+      return promiseOrCallback(Promise.resolve({affectedRows: 0, insertIds: []}), cb);
+    }
+
+    rows = this._addRowsTimestamps(rows);
+
+    const validationError = this._validate ? this._validateRows(rows) : null;
+    if (validationError !== null) {
+      return promiseOrCallback(Promise.reject(validationError), cb);
+    }
+
+    const {columnNames, valuesList} = this._formatValuesList(rows);
+    const insertSQL = 'INSERT INTO ' + this._escapedName + ' (' + this._db.escapeId(columnNames) + ') VALUES ';
+
+    const insertChunks = (db) => {
+      const maxBytesPromise = options.maxBytes === undefined
+        ? db.pquery('SELECT @@max_allowed_packet AS `maxAllowedPacket`')
+          .then(results => +results[0].maxAllowedPacket - PACKET_OVERHEAD)
+        : Promise.resolve(options.maxBytes);
+
+      return maxBytesPromise.then((maxBytes) => {
+        const result = {affectedRows: 0, insertIds: []};
+        var rowIndex = 0;
+
+        return chunkValuesList(valuesList, insertSQL, chunkSize, maxBytes)
+          .reduce((promise, chunk) => promise.then(() => {
+            const chunkRows = rows.slice(rowIndex, rowIndex + chunk.rowCount);
+            rowIndex += chunk.rowCount;
+            return this._writeQuery('Insert', chunkRows, chunk.sql, undefined, undefined, db);
+          }).then((chunkResult) => {
+            result.affectedRows += chunkResult.affectedRows;
+            result.insertIds.push(chunkResult.insertId);
+          }), Promise.resolve())
+          .then(() => result);
+      });
+    };
+
+    const promise = options.transaction && this.trxn === undefined
+      ? this.pool.transaction(insertChunks)
+      : insertChunks(this._db);
+
+    return promiseOrCallback(promise, cb);
+  }
+
+  /**
+   * Inserts one or more rows into the table, updating the existing row instead when
+   * inserting a row would create a duplicate value in a primary key or unique index
+   * (using `INSERT ... ON DUPLICATE KEY UPDATE`).
+   *
+   * By default, every inserted column that is not part of the table's primary key or one of its unique
+   * indexes (as defined in the table's schema) is updated with the value that would have been inserted.
+   * On MySQL 8.0.19 and newer, the new values are referenced using a row alias (`AS new`)
+   * and on older versions (and MariaDB) they are referenced using the `VALUES()` function.
+   *
+   * @param {Object|Object[]} data - An object of (column name)-(data value) pairs or an array of such objects.
+   * @param {Object} [options] - An optional options object.
+   * @param {string[]|Object} [options.update] - The columns to update. Either an array of column names
+   *     that will be set to the values that would have been inserted, or an object that maps column names
+   *     to SQL expressions (which are not escaped).
+   * @param {string|string[]} [options.conflictKey] - The columns of the key that is expected to conflict.
+   *     These columns are not updated by default. If this option is used, it replaces the key columns
+   *     from the table's schema (which is useful for tables that were not defined with a schema).
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     of the query is returned.
+   *
+   * @example
+   * userTable.upsert({email: 'email@example.com', name: 'John Smith'});
+   *
+   * // INSERT INTO `user` (`email`, `name`) VALUES ('email@example.com', 'John Smith')
+   * // AS `new` ON DUPLICATE KEY UPDATE `name` = `new`.`name`
+   *
+   * @example <caption>Choosing what to update</caption>
+   * const views = [{pageID: 1, views: 1}, {pageID: 2, views: 1}];
+   * pageViewsTable.upsert(views, {update: {views: '`views` + 1'}, conflictKey: 'pageID'});
+   *
+   * // INSERT INTO `page_views` (`pageID`, `views`) VALUES (1, 1), (2, 1)
+   * // AS `new` ON DUPLICATE KEY UPDATE `views` = `views` + 1
+   */
+  upsert(data, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = undefined;
+    }
+    options = options || {};
+
+    var rows = Array.isArray(data) ? data : [data];
+    if (rows.length === 0) {
+      return failQuery(new TypeError('There must be at least one row to upsert'), cb);
+    }
+
+    const {update} = options;
+    if (update !== undefined && !Array.isArray(update) && (typeof update !== 'object' || update === null)) {
+      return failQuery(new TypeError('The update option must be an array of column names or an object'), cb);
+    }
+
+    rows = this._addRowsTimestamps(rows);
+
+    const validationError = this._validate ? this._validateRows(rows) : null;
+    if (validationError !== null) {
+      return promiseOrCallback(Promise.reject(validationError), cb);
+    }
+
+    const {columnNames, valuesList} = this._formatValuesList(rows);
+    const keyColumns = options.conflictKey === undefined
+      ? this._keyColumns
+      : [].concat(options.conflictKey);
+    const createdColumn = this._timestamps === null ? null : this._timestamps.created;
+    const updateColumns = Array.isArray(update)
+      ? update
+      : columnNames.filter(columnName => keyColumns.indexOf(columnName) < 0 && columnName !== createdColumn);
+    const rowAlias = this.name === 'new' ? 'new_row' : 'new'; // Cannot be the same as the table name
+
+    const promise = this.pool.$getServerVersion().then((version) => {
+      const useRowAlias = supportsRowAlias(version);
+      const assignments = [];
+
+      if (update !== undefined && !Array.isArray(update)) {
+        for (const columnName in update) {
+          assignments.push(this._db.escapeId(columnName) + ' = ' + update[columnName]);
+        }
+      } else {
+        for (const columnName of updateColumns) {
+          const escapedName = this._db.escapeId(columnName);
+          assignments.push(
+            escapedName + ' = ' +
+            (useRowAlias ? this._db.escapeId(rowAlias) + '.' + escapedName : 'VALUES(' + escapedName + ')')
+          );
+        }
+      }
+
+      if (assignments.length === 0) {
+        // Nothing to update, so set a column to itself to ignore the duplicate row
+        const escapedName = this._db.escapeId(keyColumns.length > 0 ? keyColumns[0] : columnNames[0]);
+        assignments.push(escapedName + ' = ' + escapedName);
+      }
+
+      return this._writeQuery(
+        'Insert',
+        rows,
+        'INSERT INTO ' + this._escapedName + ' (' + this._db.escapeId(columnNames) + ') ' +
+        'VALUES ' + valuesList.join(', ') +
+        (useRowAlias ? ' AS ' + this._db.escapeId(rowAlias) : '') +
+        ' ON DUPLICATE KEY UPDATE ' + assignments.join(', ')
+      );
+    });
+
+    return promiseOrCallback(promise, cb);
+  }
+
   /**
    * Updates data in the table.
    *
@@ -331,8 +1061,9 @@ class MySQLTable {
    * optional but at least one of them must be specified.
    *
    * @param {Object} [data] - An object of (column name)-(data value) pairs that define the new column values.
-   * @param {string} [sqlString] - SQL to be appended to the query after the `SET data` clause
-   *     or immediately after `SET ` if `data` is omitted.
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `SET data` clause
+   *     or immediately after `SET ` if `data` is omitted. May also be a [conditions object](#conditions-objects)
+   *     that will be used to create a `WHERE` clause if `data` is provided.
    * @param {Array} [values] - Values to replace the placeholders in `sqlString` (and/or `data`).
    * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
    * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
@@ -359,11 +1090,17 @@ class MySQLTable {
    *
    * userTable.update({points: mysql.raw('`points` + 10')});
    * // UPDATE `user` SET `points` = `points` + 10;
+   *
+   * @example <caption>With a conditions object</caption>
+   * userTable.update({banned: 1}, {id: [3, 7]});
+   * // UPDATE `user` SET `banned` = 1 WHERE `id` IN (3, 7);
    */
   update(data, sqlString, values, cb) {
     if (typeof data === 'string') {
-      return this._db.pquery(
-        'UPDATE ' + this._escapedName + ' SET ' + data,
+      return this._writeQuery(
+        'Update',
+        null,
+        'UPDATE ' + this._escapedName + ' SET ' + this._scopeSQL(data),
         sqlString,
         values
       );
@@ -375,13 +1112,27 @@ class MySQLTable {
       } else {
         cb = values;
       }
+    } else if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+      cb = values;
     } else {
       cb = sqlString;
       sqlString = '';
     }
+    sqlString = this._scopeSQL(sqlString);
+    data = this._addTimestamps(data, false, new Date());
+
+    if (this._validate) {
+      const errors = this._getValidationErrors(data, false);
+      if (errors.length > 0) {
+        return failQuery(new ValidationError(this.name, errors), cb);
+      }
+    }
 
-    return this._db.pquery(
-      'UPDATE ' + this._escapedName + ' SET ' + this._db.escape(data) + ' ' + sqlString,
+    return this._writeQuery(
+      'Update',
+      data,
+      'UPDATE ' + this._escapedName + ' SET ' + this._db.escape(this._formatData(data)) + ' ' + sqlString,
       cb
     );
   }
@@ -389,7 +1140,13 @@ class MySQLTable {
   /**
    * Deletes data from the table.
    *
-   * @param {string} [sqlString] - SQL to be appended to the query after the `FROM table` clause.
+   * If the table's schema has the [`softDelete`](#soft-deletes) option, the rows are not removed.
+   * Instead, the rows' soft-delete column is set to the current time (rows that have already
+   * been soft-deleted are not changed). Use {@link MySQLTable#forceDelete|`forceDelete()`}
+   * to remove the rows from the table.
+   *
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `FROM table` clause
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
    * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
    * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
    * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
@@ -401,6 +1158,9 @@ class MySQLTable {
    *
    * // DELETE FROM `user` WHERE `spammer` = 1;
    *
+   * userTable.delete({spammer: 1, lastLogin: {$lt: lastYear}});
+   * // DELETE FROM `user` WHERE `spammer` = 1 AND `lastLogin` < '2019-01-01 00:00:00.000';
+   *
    * @example <caption>Delete all rows (you probably don't want to do this)</caption>
    * userTable.delete((err, result) => {
    *   if (err) throw err;
@@ -408,17 +1168,347 @@ class MySQLTable {
    * });
    *
    * // DELETE FROM `user`;
+   *
+   * @example <caption>With soft deletes</caption>
+   * // The schema has `softDelete: 'deletedAt'`
+   * userTable.delete({id: 5});
+   *
+   * // UPDATE `user` SET `deletedAt` = NOW() WHERE (`id` = 5) AND `deletedAt` IS NULL;
    */
   delete(sqlString, values, cb) {
-    if (sqlString === undefined || typeof sqlString === 'function') {
-      values = sqlString;
-      sqlString = '';
+    if (this._softDeleteColumn !== null) {
+      return this._softDeleteQuery('Delete', 'NOW()', 'exclude', sqlString, values, cb);
     }
-    return this._db.pquery(
-      'DELETE FROM ' + this._escapedName + ' ' + sqlString,
-      values,
-      cb
-    );
+    return this._deleteQuery(sqlString, values, cb);
+  }
+
+  /**
+   * Removes rows from the table, even if the table's schema has the [`softDelete`](#soft-deletes)
+   * option. Soft-deleted rows are also removed unless the table was created by
+   * {@link MySQLTable#onlyDeleted|`table.onlyDeleted()`}, in which case only soft-deleted rows are removed.
+   *
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `FROM table` clause
+   *     or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     of the query is returned.
+   *
+   * @example
+   * userTable.onlyDeleted().forceDelete({deletedAt: {$lt: lastYear}});
+   *
+   * // DELETE FROM `user` WHERE (`deletedAt` < '2019-01-01 00:00:00.000') AND `deletedAt` IS NOT NULL;
+   */
+  forceDelete(sqlString, values, cb) {
+    const softDeleteError = this._getSoftDeleteError();
+    if (softDeleteError !== null) {
+      return failQuery(softDeleteError, getCallback(sqlString, values, cb));
+    }
+
+    return this._deleteQuery(sqlString, values, cb);
+  }
+
+  /**
+   * Restores soft-deleted rows by setting their soft-delete column back to `NULL`.
+   * Can only be used if the table's schema has the [`softDelete`](#soft-deletes) option.
+   *
+   * @param {string|Object} [sqlString] - SQL to be appended to the query after the `UPDATE table SET column`
+   *     clause or a [conditions object](#conditions-objects) that will be used to create a `WHERE` clause.
+   * @param {Array} [values] - Values to replace the placeholders in `sqlString`.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     of the query is returned.
+   *
+   * @example
+   * userTable.restore({id: 5});
+   *
+   * // UPDATE `user` SET `deletedAt` = NULL WHERE (`id` = 5) AND `deletedAt` IS NOT NULL;
+   */
+  restore(sqlString, values, cb) {
+    const softDeleteError = this._getSoftDeleteError();
+    if (softDeleteError !== null) {
+      return failQuery(softDeleteError, getCallback(sqlString, values, cb));
+    }
+
+    return this._softDeleteQuery('Update', 'NULL', 'only', sqlString, values, cb);
+  }
+
+  /**
+   * Returns a new `MySQLTable` instance whose queries include soft-deleted rows. Can only
+   * be used if the table's schema has the [`softDelete`](#soft-deletes) option.
+   *
+   * @returns {MySQLTable} A new `MySQLTable` instance.
+   *
+   * @example
+   * userTable.withDeleted().select('*', {email: 'email@example.com'});
+   *
+   * // SELECT * FROM `user` WHERE `email` = 'email@example.com';
+   */
+  withDeleted() {
+    return this._withDeletedRows('include');
+  }
+
+  /**
+   * Returns a new `MySQLTable` instance whose queries only include soft-deleted rows. Can only
+   * be used if the table's schema has the [`softDelete`](#soft-deletes) option.
+   *
+   * @returns {MySQLTable} A new `MySQLTable` instance.
+   *
+   * @example
+   * userTable.onlyDeleted().count();
+   *
+   * // SELECT COUNT(*) AS `result` FROM `user` WHERE `deletedAt` IS NOT NULL;
+   */
+  onlyDeleted() {
+    return this._withDeletedRows('only');
+  }
+
+  /**
+   * Registers a hook that gets called before or after rows are inserted, updated, or deleted
+   * through this table. Hooks are shared with the tables created by
+   * {@link MySQLTable#transacting|`table.transacting()`}, `table.withDeleted()`, and `table.onlyDeleted()`.
+   *
+   * Each hook is called with an event object that has the following properties:
+   *
+   * + `table` - This table.
+   * + `data` - The `data` argument that was passed to the method (with any timestamps added), or `null`
+   *   if the query was given as an SQL string or is a delete query. `insertMany()` and `upsert()` (which
+   *   calls the insert hooks) pass an array of the rows being inserted by the query.
+   * + `sql` - The generated SQL of the query.
+   * + `trxn` - The transaction connection the query is being performed with, or `undefined`
+   *   if the query is not part of a transaction.
+   * + `results` - The results of the query (only passed to `after` hooks).
+   *
+   * Hooks are called in the order they were registered and may return a promise, in which case the
+   * next step waits for the promise to resolve. If a hook throws or returns a rejected promise, the
+   * operation fails with that error: a rejected `before` hook stops the query from being performed and,
+   * when the query is part of a {@link PoolPlus#transaction|`pool.transaction()`}, the transaction is
+   * rolled back. Note that a rejected `after` hook cannot undo a query that was not part of a transaction.
+   *
+   * @param {string} hookName - One of `'beforeInsert'`, `'afterInsert'`, `'beforeUpdate'`,
+   *     `'afterUpdate'`, `'beforeDelete'`, or `'afterDelete'`.
+   * @param {function(Object): ?Promise} fn - The hook function.
+   * @returns {MySQLTable} This table (so that hooks can be chained).
+   *
+   * @example
+   * userTable
+   *   .on('afterInsert', event => auditLog.record('insert', event.table.name, event.data))
+   *   .on('afterUpdate', event => cache.invalidate('users'))
+   *   .on('beforeDelete', (event) => {
+   *     if (event.trxn === undefined) {
+   *       throw new Error('Users must be deleted in a transaction');
+   *     }
+   *   });
+   */
+  on(hookName, fn) {
+    if (HOOK_NAMES.indexOf(hookName) < 0) {
+      throw new TypeError(`"${hookName}" is not a valid hook name. Valid names are: ${HOOK_NAMES.join(', ')}`);
+    }
+    if (typeof fn !== 'function') {
+      throw new TypeError('The hook must be a function');
+    }
+
+    if (this._hooks.has(hookName)) {
+      this._hooks.get(hookName).push(fn);
+    } else {
+      this._hooks.set(hookName, [fn]);
+    }
+
+    return this;
+  }
+
+  /**
+   * Declares a one-to-many relation where each row in this table can have many related rows
+   * in the other table. The related rows can then be loaded with {@link MySQLTable#with|`table.with()`}.
+   *
+   * If the `foreignKey` option is omitted, it is inferred from the foreign key in the other
+   * table's schema that references this table (there must be exactly one such foreign key).
+   *
+   * @param {string} name - The name of the relation (which is the property the related rows are attached to).
+   * @param {MySQLTable} table - The related table.
+   * @param {Object} [options] - An optional options object.
+   * @param {string|string[]} [options.foreignKey] - The columns in the related table that reference this table.
+   * @param {string|string[]} [options.references] - The columns in this table that the foreign key references.
+   *     Defaults to the columns referenced by the foreign key definition or to this table's primary key.
+   * @returns {MySQLTable} This table (so that relations can be chained).
+   *
+   * @example
+   * const userTable = pool.defineTable('user', {
+   *   columns: {
+   *     id: pool.ColTypes.int().unsigned().notNull().primaryKey().autoIncrement(),
+   *   },
+   * });
+   * const postTable = pool.defineTable('post', {
+   *   columns: {
+   *     id: pool.ColTypes.int().unsigned().notNull().primaryKey().autoIncrement(),
+   *     authorID: pool.ColTypes.int().unsigned().notNull(),
+   *   },
+   *   keys: [
+   *     pool.KeyTypes.foreignKey('authorID').references('user', 'id'),
+   *   ],
+   * });
+   *
+   * userTable.hasMany('posts', postTable);
+   * postTable.belongsTo('author', userTable);
+   */
+  hasMany(name, table, options) {
+    return this._addRelation('hasMany', name, table, options);
+  }
+
+  /**
+   * Declares a one-to-one relation where each row in this table can have one related row in the
+   * other table (which has the foreign key). The options are the same as for
+   * {@link MySQLTable#hasMany|`table.hasMany()`}. When loaded, the relation is
+   * either the related row or `null` if there is no related row.
+   *
+   * @param {string} name - The name of the relation.
+   * @param {MySQLTable} table - The related table.
+   * @param {Object} [options] - An optional options object.
+   * @param {string|string[]} [options.foreignKey] - The columns in the related table that reference this table.
+   * @param {string|string[]} [options.references] - The columns in this table that the foreign key references.
+   * @returns {MySQLTable} This table.
+   *
+   * @example
+   * userTable.hasOne('profile', profileTable, {foreignKey: 'userID'});
+   */
+  hasOne(name, table, options) {
+    return this._addRelation('hasOne', name, table, options);
+  }
+
+  /**
+   * Declares a relation where each row in this table references a row in the other table (this table
+   * has the foreign key). When loaded, the relation is either the related row or `null`.
+   *
+   * If the `foreignKey` option is omitted, it is inferred from the foreign key in this
+   * table's schema that references the other table (there must be exactly one such foreign key).
+   *
+   * @param {string} name - The name of the relation.
+   * @param {MySQLTable} table - The related table.
+   * @param {Object} [options] - An optional options object.
+   * @param {string|string[]} [options.foreignKey] - The columns in this table that reference the related table.
+   * @param {string|string[]} [options.references] - The columns in the related table that the foreign key
+   *     references. Defaults to the columns referenced by the foreign key definition or to the related
+   *     table's primary key.
+   * @returns {MySQLTable} This table.
+   *
+   * @example
+   * postTable.belongsTo('author', userTable, {foreignKey: 'authorID'});
+   */
+  belongsTo(name, table, options) {
+    return this._addRelation('belongsTo', name, table, options);
+  }
+
+  /**
+   * Declares a many-to-many relation between this table and the other table that is
+   * stored in a junction table that has foreign keys that reference both tables.
+   *
+   * If the `foreignKey` or `otherForeignKey` options are omitted, they are inferred from the
+   * foreign keys in the junction table's schema that reference this table and the related table.
+   *
+   * @param {string} name - The name of the relation.
+   * @param {MySQLTable} table - The related table.
+   * @param {Object} options - The options object.
+   * @param {MySQLTable} options.through - The junction table.
+   * @param {string|string[]} [options.foreignKey] - The columns in the junction table that reference this table.
+   * @param {string|string[]} [options.references] - The columns in this table that `foreignKey` references.
+   * @param {string|string[]} [options.otherForeignKey] - The columns in the junction table that reference
+   *     the related table.
+   * @param {string|string[]} [options.otherReferences] - The columns in the related table that
+   *     `otherForeignKey` references.
+   * @returns {MySQLTable} This table.
+   *
+   * @example
+   * postTable.manyToMany('tags', tagTable, {through: postTagTable});
+   * tagTable.manyToMany('posts', postTable, {through: postTagTable});
+   */
+  manyToMany(name, table, options) {
+    if (options === undefined || !(options.through instanceof MySQLTable)) {
+      throw new TypeError('The through option must be the junction table');
+    }
+    return this._addRelation('manyToMany', name, table, options);
+  }
+
+  /**
+   * Starts building a query with a condition in its `WHERE` clause.
+   *
+   * @param {Object|string} conditions - An object of conditions, a column name, or an SQL condition.
+   * @param {*} [operator] - The comparison operator, or the value if no operator is being used.
+   * @param {*} [value] - The value to compare the column to.
+   * @returns {QueryBuilder} A `QueryBuilder` for this table.
+   * @see {@link QueryBuilder#where|`queryBuilder.where()`}
+   *
+   * @example
+   * userTable.where({banned: 0}).andWhere('points', '>', 10000).select('*')
+   *   .then(rows => console.log(rows)); // -> [{id: 1, email: 'email@example.com', ...}, ...]
+   *
+   * // SELECT * FROM `user` WHERE `banned` = 0 AND `points` > 10000;
+   *
+   * @example <caption>Reusing a partially built query</caption>
+   * const activeUsers = userTable.where('lastLogin', '>', lastWeek);
+   *
+   * activeUsers.exists(); // Checks if there are any active users
+   * activeUsers.orderBy('points', 'desc').limit(1).select('*'); // Selects the active user with the most points
+   */
+  where(...args) {
+    return new QueryBuilder(this, this._db).where(...args);
+  }
+
+  /**
+   * Starts building a query with a column in its `ORDER BY` clause.
+   *
+   * @param {string} column - The name of the column to order by.
+   * @param {string} [direction=ASC] - Either `'ASC'` or `'DESC'` (case-insensitive).
+   * @returns {QueryBuilder} A `QueryBuilder` for this table.
+   * @see {@link QueryBuilder#orderBy|`queryBuilder.orderBy()`}
+   */
+  orderBy(column, direction) {
+    return new QueryBuilder(this, this._db).orderBy(column, direction);
+  }
+
+  /**
+   * Starts building a query with a `LIMIT`.
+   *
+   * @param {number} count - A non-negative integer.
+   * @returns {QueryBuilder} A `QueryBuilder` for this table.
+   * @see {@link QueryBuilder#limit|`queryBuilder.limit()`}
+   */
+  limit(count) {
+    return new QueryBuilder(this, this._db).limit(count);
+  }
+
+  /**
+   * Starts building a query with an `OFFSET`.
+   *
+   * @param {number} count - A non-negative integer.
+   * @returns {QueryBuilder} A `QueryBuilder` for this table.
+   * @see {@link QueryBuilder#offset|`queryBuilder.offset()`}
+   */
+  offset(count) {
+    return new QueryBuilder(this, this._db).offset(count);
+  }
+
+  /**
+   * Starts building a query that loads the rows of the given relations.
+   *
+   * @param {...string} relationNames - The names of relations declared on this table.
+   * @returns {QueryBuilder} A `QueryBuilder` for this table.
+   * @see {@link QueryBuilder#with|`queryBuilder.with()`}
+   */
+  with(...relationNames) {
+    return new QueryBuilder(this, this._db).with(...relationNames);
+  }
+
+  /**
+   * Starts building a query that joins another table to this table.
+   *
+   * @param {MySQLTable} table - The table to join.
+   * @param {Object|string} [on] - The join condition.
+   * @param {string} [type=INNER] - The type of join.
+   * @returns {QueryBuilder} A `QueryBuilder` for this table.
+   * @see {@link QueryBuilder#join|`queryBuilder.join()`}
+   */
+  join(table, on, type) {
+    return new QueryBuilder(this, this._db).join(table, on, type);
   }
 
   /**
@@ -456,8 +1546,999 @@ class MySQLTable {
    * });
    */
   transacting(trxn) {
-    return new MySQLTable(this.name, this.schema, this.pool, trxn);
+    const table = new MySQLTable(this.name, this.schema, this.pool, trxn);
+    table._deletedRows = this._deletedRows;
+    table._relations = this._relations;
+    table._hooks = this._hooks;
+    return table;
+  }
+
+  // Formats a `JOIN` clause that joins the table to this table
+  $formatJoin(table, on, type) {
+    if (!(table instanceof MySQLTable)) {
+      throw new TypeError('The joined table must be a MySQLTable');
+    }
+    if (table.name === this.name) {
+      throw new Error('A table cannot be joined to itself');
+    }
+    type = type === undefined ? 'INNER' : String(type).toUpperCase();
+    if (JOIN_TYPES.indexOf(type) < 0) {
+      throw new TypeError('The join type must be either "INNER" or "LEFT"');
+    }
+
+    const db = this._db;
+    var condition;
+
+    if (typeof on === 'string') {
+      condition = on;
+    } else if (on === undefined) {
+      condition = formatJoinKeyCondition(this, table, db);
+    } else if (isConditionsObject(on) && Object.keys(on).length > 0) {
+      // Unqualified column names are assumed to be in this table (keys) and the joined table (values)
+      condition = Object.keys(on).map((columnName) => {
+        return db.escapeId(qualifyColumnName(this.name, columnName)) + ' = ' +
+          db.escapeId(qualifyColumnName(table.name, on[columnName]));
+      }).join(' AND ');
+    } else {
+      throw new TypeError('The join condition must be a non-empty object or a string');
+    }
+
+    // Soft-deleted rows are excluded in the ON clause so that they don't remove rows from LEFT joins
+    if (table._softDeleteColumn !== null && table._deletedRows !== 'include') {
+      condition = '(' + condition + ') AND ' + table._formatDeletedCondition(table._deletedRows, true);
+    }
+
+    return type + ' JOIN ' + table._escapedName + ' ON ' + condition;
+  }
+
+  // Selects rows from this table joined with other tables. Columns are aliased as `table__column` so that columns
+  // with the same name in different tables don't overwrite each other. If the columns can't be listed (because a
+  // table does not have a schema), all columns are selected using mysql's `nestTables` option instead.
+  $selectJoined(columns, tables, sqlString, cb) {
+    const allTables = [this].concat(tables);
+    const db = this._db;
+    var nestTables = false;
+
+    if (columns === '*') {
+      if (allTables.every(table => table.schema !== undefined && table.schema.columns !== undefined)) {
+        columns = allTables.map((table) => {
+          return Object.keys(table.schema.columns)
+            .map(columnName => formatJoinedColumn(table.name + '.' + columnName, db))
+            .join(', ');
+        }).join(', ');
+      } else {
+        nestTables = true;
+      }
+    } else if (Array.isArray(columns)) {
+      columns = columns.map(columnName => formatJoinedColumn(columnName, db)).join(', ');
+    }
+
+    return db.pquery({
+      sql: 'SELECT ' + columns + ' FROM ' + this._escapedName + ' ' + this._scopeSQL(sqlString),
+      nestTables,
+      typeCast: createJoinedTypeCast(allTables, db),
+    }, cb);
+  }
+
+  // Throws if the relation (or any relation in a nested relation name, such as `'posts.comments'`) is not declared
+  $validateRelationName(relationName) {
+    const dotIndex = relationName.indexOf('.');
+    const name = dotIndex < 0 ? relationName : relationName.slice(0, dotIndex);
+
+    if (!this._relations.has(name)) {
+      throw new Error(`The "${this.name}" table does not have a relation called "${name}"`);
+    }
+    if (dotIndex >= 0) {
+      this._relations.get(name).table.$validateRelationName(relationName.slice(dotIndex + 1));
+    }
+  }
+
+  // Loads the rows of the relations (and their nested relations, such as `'posts.comments'`) and
+  // attaches them to the rows. Resolves with the rows.
+  $loadRelations(rows, relationNames) {
+    const nestedRelationNames = new Map();
+
+    for (const relationName of relationNames) {
+      const dotIndex = relationName.indexOf('.');
+      const name = dotIndex < 0 ? relationName : relationName.slice(0, dotIndex);
+
+      if (!nestedRelationNames.has(name)) {
+        nestedRelationNames.set(name, []);
+      }
+      if (dotIndex >= 0) {
+        nestedRelationNames.get(name).push(relationName.slice(dotIndex + 1));
+      }
+    }
+
+    return Promise.all(
+      Array.from(nestedRelationNames, ([name, nestedNames]) => this._loadRelation(rows, name, nestedNames))
+    ).then(() => rows);
+  }
+
+  // Validates the data for the object and bulk (with column names) forms of `insert()`
+  _validateInsertData(data) {
+    if (!this._validate) {
+      return null;
+    }
+
+    if (!Array.isArray(data)) {
+      const errors = this._getValidationErrors(data, true);
+      return errors.length > 0 ? new ValidationError(this.name, errors) : null;
+    }
+
+    if (data.length < 2) {
+      return null;
+    }
+
+    const columnNames = data[0];
+    return this._validateRows(data[1].map((row) => {
+      const rowData = {};
+      columnNames.forEach((columnName, i) => {
+        rowData[columnName] = row[i];
+      });
+      return rowData;
+    }));
+  }
+
+  // Validates an array of row objects to be inserted and records the index of each invalid row
+  _validateRows(rows) {
+    const errors = [];
+
+    rows.forEach((row, rowIndex) => {
+      for (const error of this._getValidationErrors(row, true)) {
+        error.row = rowIndex;
+        errors.push(error);
+      }
+    });
+
+    return errors.length > 0 ? new ValidationError(this.name, errors) : null;
+  }
+
+  _getValidationErrors(data, isInsert) {
+    const {columns} = this.schema;
+    const errors = [];
+
+    for (const columnName in data) {
+      if (this._generatedColumns.indexOf(columnName) >= 0) {
+        continue; // Generated columns are never written
+      }
+      if (!columns.hasOwnProperty(columnName)) {
+        errors.push({column: columnName, message: 'is not a column in the table'});
+        continue;
+      }
+
+      const message = columns[columnName].$validate(data[columnName]);
+      if (message !== null) {
+        errors.push({column: columnName, message});
+      }
+    }
+
+    if (isInsert) {
+      for (const columnName in columns) {
+        if (!data.hasOwnProperty(columnName) && columns[columnName].$isRequired()) {
+          errors.push({column: columnName, message: 'is required'});
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Returns a copy of the data object with the current time for the timestamp columns that are filled in by
+  // the application (if the schema's timestamps option has `useServerDefaults: false`) and not in the data
+  _addTimestamps(data, isInsert, now) {
+    const timestamps = this._timestamps;
+    if (timestamps === null || timestamps.useServerDefaults) {
+      return data;
+    }
+
+    const columnNames = isInsert ? [timestamps.created, timestamps.updated] : [timestamps.updated];
+    var timestampedData = data;
+
+    for (const columnName of columnNames) {
+      if (columnName !== null && !data.hasOwnProperty(columnName)) {
+        if (timestampedData === data) {
+          timestampedData = Object.assign({}, data);
+        }
+        timestampedData[columnName] = now;
+      }
+    }
+
+    return timestampedData;
+  }
+
+  // Adds the timestamps to an array of row objects (using the same time for every row)
+  _addRowsTimestamps(rows) {
+    const now = new Date();
+    return rows.map(row => this._addTimestamps(row, true, now));
+  }
+
+  // Adds the timestamps to the bulk form of `insert()` (only when the column names are given)
+  _addBulkTimestamps(data) {
+    const timestamps = this._timestamps;
+    if (timestamps === null || timestamps.useServerDefaults || data.length < 2) {
+      return data;
+    }
+
+    const columnNames = data[0];
+    const addedColumnNames = [timestamps.created, timestamps.updated]
+      .filter(columnName => columnName !== null && columnNames.indexOf(columnName) < 0);
+    if (addedColumnNames.length === 0) {
+      return data;
+    }
+
+    const now = new Date();
+    const addedValues = addedColumnNames.map(() => now);
+    return [
+      columnNames.concat(addedColumnNames),
+      data[1].map(row => row.concat(addedValues)),
+    ];
+  }
+
+  // Returns a copy of the data object without any generated columns (since they cannot be
+  // written to) and with its values serialized for their columns if type casting is enabled
+  _formatData(data) {
+    const generatedColumns = this._generatedColumns;
+    if (generatedColumns.length === 0 && this._typeCast === null) {
+      return data;
+    }
+
+    const formattedData = {};
+    for (const columnName in data) {
+      if (generatedColumns.indexOf(columnName) < 0) {
+        formattedData[columnName] = this._serializeValue(columnName, data[columnName]);
+      }
+    }
+    return formattedData;
+  }
+
+  _aggregate(expression, sqlString, values, cb) {
+    const promise = this._selectAggregate(expression + ' AS `result`', '', sqlString, values);
+    return promiseOrCallback(promise.then(rows => rows[0].result), getCallback(sqlString, values, cb));
+  }
+
+  _selectAggregate(columns, suffix, sqlString, values) {
+    if (typeof sqlString === 'function' || sqlString === undefined) {
+      sqlString = '';
+    } else if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+    }
+    if (typeof values === 'function') {
+      values = undefined;
+    }
+    sqlString = this._scopeSQL(sqlString);
+
+    const baseTypeCast = this._typeCast || getDefaultTypeCast(this._db);
+    const typeCast = (field, next) => {
+      // Aggregate results have no original table
+      return field.packet.orgTable === '' && AGGREGATE_NUMBER_TYPES.indexOf(field.type) >= 0
+        ? parseNumber(field.string())
+        : baseTypeCast(field, next);
+    };
+
+    return this._db.pquery({
+      sql: 'SELECT ' + columns + ' FROM ' + this._escapedName +
+        (sqlString === '' ? '' : ' ' + sqlString) +
+        (suffix === '' ? '' : ' ' + suffix),
+      typeCast,
+    }, values);
+  }
+
+  // Returns the conditions object for the primary key or an error if the `id` is invalid
+  _getPrimaryKeyConditions(id) {
+    const columnNames = this._primaryKeyColumns;
+    if (columnNames.length === 0) {
+      return new Error(`The "${this.name}" table does not have a primary key defined in its schema`);
+    }
+
+    const key = {};
+
+    if (Array.isArray(id)) {
+      if (id.length !== columnNames.length) {
+        return new TypeError(`Expected ${columnNames.length} values for the primary key but got ${id.length}`);
+      }
+      columnNames.forEach((columnName, i) => {
+        key[columnName] = id[i];
+      });
+    } else if (typeof id === 'object' && id !== null && Object.getPrototypeOf(id) === Object.prototype) {
+      for (const columnName of columnNames) {
+        if (!id.hasOwnProperty(columnName)) {
+          return new TypeError(`The primary key is missing a value for the "${columnName}" column`);
+        }
+        key[columnName] = id[columnName];
+      }
+    } else if (columnNames.length === 1) {
+      key[columnNames[0]] = id;
+    } else {
+      return new TypeError('A composite primary key must be an array or an object');
+    }
+
+    return key;
+  }
+
+  // Adds a condition to the SQL that excludes or only includes soft-deleted rows (depending on `_deletedRows`)
+  _scopeSQL(sqlString) {
+    if (this._softDeleteColumn === null || this._deletedRows === 'include') {
+      return sqlString;
+    }
+    if (sqlString === undefined) {
+      sqlString = '';
+    }
+    return addWhereCondition(sqlString, this._formatDeletedCondition(this._deletedRows, hasJoinClause(sqlString)));
+  }
+
+  // The column is only qualified with the table name when the query joins other tables
+  // so that it does not break queries that give the table an alias
+  _formatDeletedCondition(deletedRows, qualified) {
+    return (qualified ? this._escapedName + '.' : '') + this._db.escapeId(this._softDeleteColumn) +
+      (deletedRows === 'only' ? ' IS NOT NULL' : ' IS NULL');
+  }
+
+  _softDeleteQuery(operation, value, deletedRows, sqlString, values, cb) {
+    if (sqlString === undefined || typeof sqlString === 'function') {
+      values = sqlString;
+      sqlString = '';
+    } else if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+    }
+
+    return this._writeQuery(
+      operation,
+      operation === 'Update' ? {[this._softDeleteColumn]: null} : null,
+      'UPDATE ' + this._escapedName + ' SET ' + this._db.escapeId(this._softDeleteColumn) + ' = ' + value + ' ' +
+        addWhereCondition(sqlString, this._formatDeletedCondition(deletedRows, hasJoinClause(sqlString))),
+      values,
+      cb
+    );
+  }
+
+  _deleteQuery(sqlString, values, cb) {
+    if (sqlString === undefined || typeof sqlString === 'function') {
+      values = sqlString;
+      sqlString = '';
+    } else if (isConditionsObject(sqlString)) {
+      sqlString = formatWhereClause(sqlString, this._db);
+    }
+    if (this._deletedRows === 'only') {
+      sqlString = addWhereCondition(sqlString, this._formatDeletedCondition('only', hasJoinClause(sqlString)));
+    }
+
+    return this._writeQuery(
+      'Delete',
+      null,
+      'DELETE FROM ' + this._escapedName + ' ' + sqlString,
+      values,
+      cb
+    );
+  }
+
+  // Performs an insert, update, or delete query (`operation` is 'Insert', 'Update', or 'Delete'),
+  // calling the operation's hooks before and after the query if there are any
+  _writeQuery(operation, data, sql, values, cb, db) {
+    db = db || this._db;
+
+    const beforeHooks = this._hooks.get('before' + operation);
+    const afterHooks = this._hooks.get('after' + operation);
+    if (beforeHooks === undefined && afterHooks === undefined) {
+      return db.pquery(sql, values, cb);
+    }
+
+    if (typeof values === 'function') {
+      cb = values;
+      values = undefined;
+    }
+    if (values !== undefined) {
+      sql = db.format(sql, values);
+    }
+
+    const event = {table: this, data, sql, trxn: db === this.pool ? undefined : db};
+    const promise = runHooks(beforeHooks, event)
+      .then(() => db.pquery(sql))
+      .then(results => runHooks(afterHooks, Object.assign({}, event, {results})).then(() => results));
+
+    return promiseOrCallback(promise, cb);
+  }
+
+  _withDeletedRows(deletedRows) {
+    const softDeleteError = this._getSoftDeleteError();
+    if (softDeleteError !== null) {
+      throw softDeleteError;
+    }
+
+    const table = new MySQLTable(this.name, this.schema, this.pool, this.trxn);
+    table._deletedRows = deletedRows;
+    table._relations = this._relations;
+    table._hooks = this._hooks;
+    return table;
+  }
+
+  _getSoftDeleteError() {
+    return this._softDeleteColumn === null
+      ? new Error(`The "${this.name}" table does not have the softDelete schema option`)
+      : null;
+  }
+
+  _addRelation(type, name, table, options) {
+    if (typeof name !== 'string') {
+      throw new TypeError('The relation name must be a string');
+    }
+    if (!(table instanceof MySQLTable)) {
+      throw new TypeError('The related table must be a MySQLTable');
+    }
+    if (this._relations.has(name)) {
+      throw new Error(`The "${this.name}" table already has a relation called "${name}"`);
+    }
+    options = options || {};
+
+    // The relation is loaded by matching the values of the `parentColumns` in this table's rows
+    // to the values of the `childColumns` in the related table's (or the junction table's) rows
+    const relation = {type, table, parentColumns: null, childColumns: null, through: null};
+
+    if (type === 'belongsTo') {
+      const key = resolveRelationKey(this, table, options.foreignKey, options.references);
+      relation.parentColumns = key.foreignKey;
+      relation.childColumns = key.references;
+    } else if (type === 'manyToMany') {
+      const {through} = options;
+      const key = resolveRelationKey(through, this, options.foreignKey, options.references);
+      const otherKey = resolveRelationKey(through, table, options.otherForeignKey, options.otherReferences);
+      relation.parentColumns = key.references;
+      relation.childColumns = otherKey.references;
+      relation.through = {table: through, parentColumns: key.foreignKey, childColumns: otherKey.foreignKey};
+    } else {
+      const key = resolveRelationKey(table, this, options.foreignKey, options.references);
+      relation.parentColumns = key.references;
+      relation.childColumns = key.foreignKey;
+    }
+
+    this._relations.set(name, relation);
+    return this;
+  }
+
+  _loadRelation(rows, name, nestedNames) {
+    const relation = this._relations.get(name);
+    const keys = getKeyValues(rows, relation.parentColumns, name);
+
+    if (keys.size === 0) {
+      for (const row of rows) {
+        row[name] = relation.type === 'hasMany' || relation.type === 'manyToMany' ? [] : null;
+      }
+      return Promise.resolve();
+    }
+
+    if (relation.type === 'manyToMany') {
+      return this._loadManyToManyRelation(rows, name, relation, keys, nestedNames);
+    }
+
+    const relatedTable = this._getRelatedTable(relation.table);
+
+    return selectByKeys(relatedTable, relation.childColumns, keys, nestedNames).then((relatedRows) => {
+      const relatedRowGroups = groupRowsByKey(relatedRows, relation.childColumns);
+
+      for (const row of rows) {
+        const group = relatedRowGroups.get(getKeyString(row, relation.parentColumns)) || [];
+        row[name] = relation.type === 'hasMany' ? group : (group[0] || null);
+      }
+    });
+  }
+
+  _loadManyToManyRelation(rows, name, relation, keys, nestedNames) {
+    const {through} = relation;
+    const throughTable = this._getRelatedTable(through.table);
+    const throughColumns = Array.from(new Set(through.parentColumns.concat(through.childColumns)));
+
+    return throughTable.where(formatKeysCondition(through.parentColumns, keys, this._db))
+      .select(throughColumns)
+      .then((throughRows) => {
+        const relatedKeys = getKeyValues(throughRows, through.childColumns, name);
+        const relatedTable = this._getRelatedTable(relation.table);
+
+        const relatedRowsPromise = relatedKeys.size === 0
+          ? Promise.resolve([])
+          : selectByKeys(relatedTable, relation.childColumns, relatedKeys, nestedNames);
+
+        return relatedRowsPromise.then((relatedRows) => {
+          const relatedRowsByKey = groupRowsByKey(relatedRows, relation.childColumns);
+          const relatedRowGroups = new Map();
+
+          for (const throughRow of throughRows) {
+            const parentKey = getKeyString(throughRow, through.parentColumns);
+            const related = relatedRowsByKey.get(getKeyString(throughRow, through.childColumns)) || [];
+
+            if (!relatedRowGroups.has(parentKey)) {
+              relatedRowGroups.set(parentKey, []);
+            }
+            relatedRowGroups.get(parentKey).push(...related);
+          }
+
+          for (const row of rows) {
+            row[name] = relatedRowGroups.get(getKeyString(row, relation.parentColumns)) || [];
+          }
+        });
+      });
+  }
+
+  // Related tables are queried in the same transaction as this table
+  _getRelatedTable(table) {
+    return this.trxn === undefined ? table : table.transacting(this.trxn);
+  }
+
+  _getPaginationOrdering(orderBy) {
+    const ordering = orderBy.map((order) => {
+      const [column, direction] = Array.isArray(order) ? order : [order];
+      const upperDirection = direction === undefined ? 'ASC' : String(direction).toUpperCase();
+
+      return typeof column === 'string' && (upperDirection === 'ASC' || upperDirection === 'DESC')
+        ? {column, direction: upperDirection}
+        : null;
+    });
+
+    if (ordering.indexOf(null) >= 0) {
+      return new TypeError('Each orderBy item must be a column name or an array of a column name and a direction');
+    }
+
+    // Use the primary key as the tiebreaker, ordered in the same direction as the last column
+    const direction = ordering.length > 0 ? ordering[ordering.length - 1].direction : 'ASC';
+    for (const column of this._primaryKeyColumns) {
+      if (!ordering.some(order => order.column === column)) {
+        ordering.push({column, direction});
+      }
+    }
+
+    if (ordering.length === 0) {
+      return new TypeError('The orderBy option is required if the table does not have a primary key');
+    }
+
+    return ordering;
+  }
+
+  // Formats a condition that matches the rows that come after the cursor values in the ordering,
+  // such as `a > 1 OR (a = 1 AND b > 2)` for the ordering `a ASC, b ASC` and cursor values `[1, 2]`
+  _formatKeysetCondition(ordering, cursorValues) {
+    const alternatives = ordering.map((order, i) => {
+      const comparisons = [];
+
+      for (var j = 0; j < i; j++) {
+        comparisons.push(this._db.escapeId(ordering[j].column) + ' = ' + this._db.escape(cursorValues[j]));
+      }
+      comparisons.push(
+        this._db.escapeId(order.column) + (order.direction === 'ASC' ? ' > ' : ' < ') +
+        this._db.escape(cursorValues[i])
+      );
+
+      return i > 0 ? '(' + comparisons.join(' AND ') + ')' : comparisons[0];
+    });
+
+    return '(' + alternatives.join(' OR ') + ')';
+  }
+
+  _formatSelectQuery(columns, sqlString) {
+    if (typeof columns !== 'string') {
+      columns = this._db.escapeId(columns);
+    }
+    sqlString = this._scopeSQL(sqlString);
+
+    const sql = 'SELECT ' + columns + ' FROM ' + this._escapedName + ' ' + sqlString;
+
+    return this._typeCast === null ? sql : {sql, typeCast: this._typeCast};
+  }
+
+  // Formats an array of row objects as a list of the columns being inserted and the SQL values of each row
+  _formatValuesList(rows) {
+    const formattedRows = rows.map(row => this._formatData(row));
+    const columnNames = getColumnNames(formattedRows);
+    const valuesList = formattedRows.map((row) => {
+      return '(' +
+        columnNames.map(name => (row.hasOwnProperty(name) ? this._db.escape(row[name]) : 'DEFAULT')).join(', ') +
+        ')';
+    });
+
+    return {columnNames, valuesList};
+  }
+
+  _getSchemaColumnNames() {
+    return this.schema !== undefined && this.schema.columns !== undefined ? Object.keys(this.schema.columns) : [];
+  }
+
+  _formatRows(columnNames, rows) {
+    if (this._typeCast === null) {
+      return rows;
+    }
+    return rows.map(row => row.map((value, i) => this._serializeValue(columnNames[i], value)));
+  }
+
+  _serializeValue(columnName, value) {
+    if (this._typeCast === null) {
+      return value;
+    }
+
+    const {columns} = this.schema;
+    return columns.hasOwnProperty(columnName) ? columns[columnName].$serializeValue(value) : value;
+  }
+}
+
+// Gets the columns of the foreign key that relates two tables (and the columns that it references),
+// inferring them from the foreign key definitions in the schema of the table with the foreign key
+function resolveRelationKey(foreignKeyTable, referencedTable, foreignKey, references) {
+  const keyDefinitions = getForeignKeyDefinitions(foreignKeyTable, referencedTable);
+  var keyDefinition;
+
+  if (foreignKey === undefined) {
+    if (keyDefinitions.length !== 1) {
+      throw new Error(
+        `Cannot infer the foreign key from the "${foreignKeyTable.name}" table to the "${referencedTable.name}" ` +
+        `table because ${keyDefinitions.length === 0 ? 'no' : 'more than one'} foreign key references it. ` +
+        'Specify the key columns with the foreignKey option.'
+      );
+    }
+    keyDefinition = keyDefinitions[0];
+    foreignKey = keyDefinition.$columns;
+  } else {
+    foreignKey = [].concat(foreignKey);
+    keyDefinition = keyDefinitions.find(key => arraysEqual(key.$columns, foreignKey));
+  }
+
+  if (references === undefined) {
+    references = keyDefinition === undefined
+      ? referencedTable._primaryKeyColumns
+      : keyDefinition.$referenceColumns;
+  } else {
+    references = [].concat(references);
+  }
+
+  if (references.length !== foreignKey.length) {
+    throw new Error(
+      `The foreign key from the "${foreignKeyTable.name}" table to the "${referencedTable.name}" table ` +
+      'must have the same number of columns as the columns that it references'
+    );
+  }
+
+  return {foreignKey, references};
+}
+
+function getForeignKeyDefinitions(foreignKeyTable, referencedTable) {
+  const {schema} = foreignKeyTable;
+  return schema === undefined || schema.keys === undefined
+    ? []
+    : schema.keys.filter(key => key instanceof ForeignKeyDefinition && key.$referenceTable === referencedTable.name);
+}
+
+// Formats the condition for joining two tables using the only foreign key between them
+function formatJoinKeyCondition(table, joinedTable, db) {
+  const outboundKeys = getForeignKeyDefinitions(table, joinedTable);
+  const inboundKeys = getForeignKeyDefinitions(joinedTable, table);
+
+  const keyCount = outboundKeys.length + inboundKeys.length;
+
+  if (keyCount !== 1) {
+    throw new Error(
+      `Cannot infer the condition for joining the "${joinedTable.name}" table to the "${table.name}" table ` +
+      `because there ${keyCount === 0 ? 'is no foreign key' : 'are multiple foreign keys'} between them. ` +
+      'Specify the join condition with the on argument.'
+    );
+  }
+
+  const keyDefinition = outboundKeys.length === 1 ? outboundKeys[0] : inboundKeys[0];
+  const foreignKeyTableName = outboundKeys.length === 1 ? table.name : joinedTable.name;
+
+  return keyDefinition.$columns.map((columnName, i) => {
+    return db.escapeId(foreignKeyTableName + '.' + columnName) + ' = ' +
+      db.escapeId(keyDefinition.$referenceTable + '.' + keyDefinition.$referenceColumns[i]);
+  }).join(' AND ');
+}
+
+function qualifyColumnName(tableName, columnName) {
+  return columnName.indexOf('.') < 0 ? tableName + '.' + columnName : columnName;
+}
+
+// Aliases qualified column names (`table.column`) as `table__column`
+function formatJoinedColumn(columnName, db) {
+  const dotIndex = columnName.indexOf('.');
+  if (dotIndex < 0) {
+    return db.escapeId(columnName);
+  }
+
+  const alias = columnName.slice(0, dotIndex) + JOINED_COLUMN_SEPARATOR + columnName.slice(dotIndex + 1);
+  return db.escapeId(columnName) + ' AS ' + db.escapeId(alias);
+}
+
+// Creates a `typeCast` function that casts the values of each table's
+// columns using the type casting of that table (if it has type casting)
+function createJoinedTypeCast(tables, db) {
+  const typeCasts = new Map();
+  for (const table of tables) {
+    if (table._typeCast !== null) {
+      typeCasts.set(table.name, table._typeCast);
+    }
+  }
+
+  const defaultTypeCast = getDefaultTypeCast(db);
+
+  return (field, next) => {
+    const typeCast = typeCasts.get(field.packet.orgTable);
+    return typeCast === undefined ? defaultTypeCast(field, next) : typeCast(field, next);
+  };
+}
+
+// Gets the unique values of the key columns in the rows (ignoring keys that contain NULL values)
+function getKeyValues(rows, columnNames, relationName) {
+  const keys = new Map();
+
+  for (const row of rows) {
+    for (const columnName of columnNames) {
+      if (!row.hasOwnProperty(columnName)) {
+        throw new Error(`The "${columnName}" column must be selected to load the "${relationName}" relation`);
+      }
+    }
+
+    const keyString = getKeyString(row, columnNames);
+    if (keyString !== null && !keys.has(keyString)) {
+      keys.set(keyString, columnNames.map(columnName => row[columnName]));
+    }
+  }
+
+  return keys;
+}
+
+function getKeyString(row, columnNames) {
+  const values = columnNames.map(columnName => row[columnName]);
+  return values.some(value => value === null || value === undefined) ? null : JSON.stringify(values);
+}
+
+function groupRowsByKey(rows, columnNames) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const keyString = getKeyString(row, columnNames);
+    if (!groups.has(keyString)) {
+      groups.set(keyString, []);
+    }
+    groups.get(keyString).push(row);
+  }
+
+  return groups;
+}
+
+function formatKeysCondition(columnNames, keys, db) {
+  const keyValues = Array.from(keys.values());
+
+  return columnNames.length === 1
+    ? db.escapeId(columnNames[0]) + ' IN (' + db.escape(keyValues.map(values => values[0])) + ')'
+    : '(' + db.escapeId(columnNames) + ') IN (' + db.escape(keyValues) + ')';
+}
+
+function selectByKeys(table, columnNames, keys, nestedRelationNames) {
+  return table.where(formatKeysCondition(columnNames, keys, table._db))
+    .with(...nestedRelationNames)
+    .select('*');
+}
+
+function getGeneratedColumns(schema) {
+  if (schema === undefined || schema.columns === undefined) {
+    return [];
+  }
+
+  const {columns} = schema;
+  return Object.keys(columns).filter(columnName => columns[columnName].$generated !== null);
+}
+
+// Gets the names of the columns in the schema's primary key and unique indexes
+function getPrimaryKeyColumns(schema) {
+  if (schema === undefined || schema.columns === undefined) {
+    return [];
+  }
+
+  // The primaryKey in the schema takes precedence over one defined by a column
+  if (schema.primaryKey) {
+    return new PrimaryKeyDefinition([].concat(schema.primaryKey)).$columnNames;
+  }
+
+  const {columns} = schema;
+  return Object.keys(columns).filter(columnName => columns[columnName].$primaryKey);
+}
+
+function getKeyColumns(schema, primaryKeyColumns) {
+  if (schema === undefined || schema.columns === undefined) {
+    return [];
+  }
+
+  const keyColumns = new Set(primaryKeyColumns);
+  const {columns} = schema;
+
+  for (const columnName in columns) {
+    if (columns[columnName].$unique) {
+      keyColumns.add(columnName);
+    }
+  }
+
+  if (schema.keys) {
+    for (const key of schema.keys) {
+      if (key instanceof IndexKeyDefinition && key.$isUnique()) {
+        key.$columnNames.forEach(name => keyColumns.add(name));
+      }
+    }
+  }
+
+  return Array.from(keyColumns);
+}
+
+function supportsRowAlias(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version);
+  if (match === null || /mariadb/i.test(version)) {
+    return false;
+  }
+
+  for (var i = 0; i < ROW_ALIAS_MIN_VERSION.length; i++) {
+    const part = +match[i + 1];
+    if (part !== ROW_ALIAS_MIN_VERSION[i]) {
+      return part > ROW_ALIAS_MIN_VERSION[i];
+    }
+  }
+
+  return true;
+}
+
+// Encodes the values in a URL-safe string, keeping the types of Date and Buffer values
+function encodeCursor(values) {
+  const json = JSON.stringify(values.map((value) => {
+    if (value instanceof Date) {
+      return {$date: value.toISOString()};
+    }
+    if (Buffer.isBuffer(value)) {
+      return {$buffer: value.toString('base64')};
+    }
+    return value;
+  }));
+
+  return Buffer.from(json).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  var values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+  } catch (err) {
+    return null;
+  }
+
+  if (!Array.isArray(values)) {
+    return null;
+  }
+
+  return values.map((value) => {
+    if (typeof value === 'object' && value !== null) {
+      if (typeof value.$date === 'string') {
+        return new Date(value.$date);
+      }
+      if (typeof value.$buffer === 'string') {
+        return Buffer.from(value.$buffer, 'base64');
+      }
+    }
+    return value;
+  });
+}
+
+// Calls each hook in order, waiting for any promise a hook returns before calling the next one
+function runHooks(hooks, event) {
+  if (hooks === undefined) {
+    return Promise.resolve();
+  }
+  return hooks.reduce((promise, hook) => promise.then(() => hook(event)), Promise.resolve());
+}
+
+function noop() {
+  // Do nothing
+}
+
+function getColumnNames(rows) {
+  const columnNames = [];
+
+  for (const row of rows) {
+    for (const columnName in row) {
+      if (columnNames.indexOf(columnName) < 0) {
+        columnNames.push(columnName);
+      }
+    }
+  }
+
+  return columnNames;
+}
+
+// Groups the values of each row into `INSERT` statements with no more than `chunkSize` rows and no more
+// than `maxBytes` bytes (unless a single row is bigger than that). Returns each statement's SQL and row count.
+function chunkValuesList(valuesList, insertSQL, chunkSize, maxBytes) {
+  const statements = [];
+  const baseBytes = Buffer.byteLength(insertSQL);
+  var chunk = [];
+  var chunkBytes = baseBytes;
+
+  for (const values of valuesList) {
+    const bytes = Buffer.byteLength(values) + (chunk.length > 0 ? 2 : 0); // 2 for the ', ' separator
+
+    if (chunk.length > 0 && (chunk.length === chunkSize || chunkBytes + bytes > maxBytes)) {
+      statements.push({sql: insertSQL + chunk.join(', '), rowCount: chunk.length});
+      chunk = [];
+      chunkBytes = baseBytes;
+    }
+
+    chunk.push(values);
+    chunkBytes += chunk.length > 1 ? bytes : Buffer.byteLength(values);
+  }
+
+  statements.push({sql: insertSQL + chunk.join(', '), rowCount: chunk.length});
+
+  return statements;
+}
+
+function failQuery(err, cb) {
+  if (cb === undefined) {
+    return Promise.reject(err);
+  }
+
+  process.nextTick(cb, err);
+  return undefined;
+}
+
+function isConditionsObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function formatWhereClause(conditions, db) {
+  const comparisons = formatConditions(conditions, db);
+  return comparisons.length === 0 ? '' : 'WHERE ' + comparisons.join(' AND ');
+}
+
+// Gets a `typeCast` function that converts values the same way as the connection's `typeCast` option
+function getDefaultTypeCast(db) {
+  const config = db.config.connectionConfig || db.config; // Pool or Connection config
+  if (typeof config.typeCast === 'function') {
+    return config.typeCast;
+  }
+  if (config.typeCast === false) {
+    // The raw values mysql returns when `typeCast` is `false`
+    return field => (field.packet.charsetNr === BINARY_CHARSET ? field.buffer() : field.string());
+  }
+  return (field, next) => next();
+}
+
+// Creates a function for the `typeCast` query option that casts the values of this table's columns
+// using the columns' definitions and leaves other values to the connection's `typeCast` option
+function createTypeCast(tableName, columns, db) {
+  const defaultTypeCast = getDefaultTypeCast(db);
+
+  return (field, next) => {
+    const {orgTable, orgName} = field.packet;
+    return orgTable === tableName && columns.hasOwnProperty(orgName)
+      ? columns[orgName].$castValue(field, () => defaultTypeCast(field, next))
+      : defaultTypeCast(field, next);
+  };
+}
+
+function getCallback(sqlString, values, cb) {
+  if (typeof sqlString === 'function') {
+    return sqlString;
+  }
+  if (typeof values === 'function') {
+    return values;
+  }
+  return cb;
+}
+
+// Converts a number string to a number, or to a BigInt if it is an integer that is too large to be a number
+// (the string is returned if BigInt is not supported)
+function parseNumber(numberString) {
+  if (numberString === null) {
+    return null;
+  }
+
+  const number = Number(numberString);
+  if (Number.isSafeInteger(number) || !/^-?\d+$/.test(numberString)) {
+    return number;
   }
+  return typeof BigInt === 'function' ? BigInt(numberString) : numberString;
 }
 
 function checkExists(rows) {
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * The error that {@link MySQLTable#findByIdOrFail|`table.findByIdOrFail()`} fails with
+ * when there is no row with the given primary key. Available as `mysql.NotFoundError`.
+ *
+ * @extends Error
+ */
+class NotFoundError extends Error {
+  constructor(tableName, key) {
+    super(
+      `No row was found in the "${tableName}" table with ` +
+      Object.keys(key).map(column => `${column} = ${JSON.stringify(key[column])}`).join(', ')
+    );
+
+    this.name = 'NotFoundError';
+    /**
+     * The name of the table that was searched.
+     * @constant {string}
+     */
+    this.table = tableName;
+    /**
+     * An object of (primary key column name)-(value) pairs that no row matched.
+     * @constant {Object}
+     */
+    this.key = key;
+  }
+}
+
+module.exports = NotFoundError;
@@ -6,20 +6,23 @@ const Operation = {
   // Ordered by priority (smaller number = higher priority)
   Types: {
     // Types that get run as queries
-    DROP_FOREIGN_KEY: 1,
-    DROP_TABLE: 2,
-    CREATE_TABLE: 3,
-    ALTER_TABLE: 4,
-    ADD_FOREIGN_KEY: 5,
+    RENAME_TABLE: 1,
+    DROP_FOREIGN_KEY: 2,
+    DROP_TABLE: 3,
+    CREATE_TABLE: 4,
+    ALTER_TABLE: 5,
+    ADD_FOREIGN_KEY: 6,
 
     // Types that get merged into an ALTER query
-    DROP_KEY: 11,
-    DROP_COLUMN: 12,
-    MODIFY_TABLE_OPTIONS: 13,
-    ADD_COLUMN: 14,
-    CHANGE_COLUMN: 15,
-    MODIFY_COLUMN: 16,
-    ADD_KEY: 17,
+    DROP_CHECK: 11,
+    DROP_KEY: 12,
+    DROP_COLUMN: 13,
+    MODIFY_TABLE_OPTIONS: 14,
+    ADD_COLUMN: 15,
+    CHANGE_COLUMN: 16,
+    MODIFY_COLUMN: 17,
+    ADD_KEY: 18,
+    ADD_CHECK: 19,
   },
 
   create(type, sql, columns) {
@@ -5,6 +5,7 @@
 
 const ColumnDefinitions = require('./ColumnDefinitions');
 const KeyDefinitions = require('./KeyDefinitions');
+const Migrator = require('./Migrator');
 const MySQLTable = require('./MySQLTable');
 const Operation = require('./Operation');
 const Pool = require('mysql/lib/Pool');
@@ -12,6 +13,14 @@ const PoolConfig = require('mysql/lib/PoolConfig');
 const SqlString = require('mysql/lib/protocol/SqlString');
 const TableDefinition = require('./TableDefinition');
 
+const getTimestampsOptions = require('./utils/getTimestampsOptions');
+const promiseOrCallback = require('./utils/promiseOrCallback');
+const runSequentially = require('./utils/runSequentially');
+const runTransaction = require('./utils/runTransaction');
+
+const SYNC_JOURNAL_TABLE = 'mysql_plus_sync_journal';
+const INTERNAL_TABLES = [SYNC_JOURNAL_TABLE, Migrator.MIGRATIONS_TABLE];
+
 const MIGRATION_STRATEGIES = [
   'safe',
   'alter',
@@ -34,6 +43,43 @@ function validateMigrationStrategy(strategy) {
   }
 }
 
+// Returns a copy of the schema with the columns for its softDelete and timestamps options added (unless
+// they are already defined) so that the original schema is not changed, or the schema itself if no columns
+// need to be added
+function addOptionColumns(schema) {
+  const columns = Object.assign({}, schema.columns);
+  const timestamps = getTimestampsOptions(schema);
+  var columnsAdded = false;
+
+  const addColumn = (columnName, columnDefinition) => {
+    if (!columns.hasOwnProperty(columnName)) {
+      columns[columnName] = columnDefinition;
+      columnsAdded = true;
+    }
+  };
+
+  if (schema.softDelete !== undefined) {
+    addColumn(schema.softDelete, ColumnDefinitions.datetime());
+  }
+
+  if (timestamps !== null) {
+    const precision = timestamps.precision || undefined;
+
+    if (timestamps.created !== null) {
+      addColumn(timestamps.created, timestamps.useServerDefaults
+        ? ColumnDefinitions.datetime(precision).notNull().defaultCurrentTimestamp()
+        : ColumnDefinitions.datetime(precision).notNull());
+    }
+    if (timestamps.updated !== null) {
+      addColumn(timestamps.updated, timestamps.useServerDefaults
+        ? ColumnDefinitions.datetime(precision).notNull().defaultCurrentTimestamp().onUpdateCurrentTimestamp()
+        : ColumnDefinitions.datetime(precision).notNull());
+    }
+  }
+
+  return columnsAdded ? Object.assign({}, schema, {columns}) : schema;
+}
+
 /**
  * A class that extends the `mysql` module's `Pool` class with the ability to define tables
  * and perform queries and transactions using promises.
@@ -51,7 +97,17 @@ class PoolPlus extends Pool {
     this._allowAlterInProduction = plusOptions.allowAlterInProduction || false;
     this._debug = plusOptions.debug || false;
     this._migrationStrategy = this._getSanitizedMigrationStrategy(plusOptions.migrationStrategy);
+    this._migrationsDir = plusOptions.migrationsDir || null;
+    // Has the same production safeguards as the `drop` migration strategy
+    this._dropUndefinedTables = Boolean(plusOptions.dropUndefinedTables) &&
+      process.env.NODE_ENV !== 'production' &&
+      this._migrationStrategy !== 'safe';
+    this._keepTables = INTERNAL_TABLES.concat(plusOptions.keepTables || []);
+    this._syncLockName = plusOptions.syncLockName || 'mysql_plus_sync';
+    this._syncLockTimeout = plusOptions.syncLockTimeout === undefined ? 60 : plusOptions.syncLockTimeout;
+    this._syncJournal = Boolean(plusOptions.syncJournal);
     this._tables = new Map();
+    this._serverVersion = null;
   }
 
   format(sql, values) {
@@ -135,8 +191,16 @@ class PoolPlus extends Pool {
     if (isObjectEmpty(schema.columns)) {
       throw new Error('The schema must have at least one table column');
     }
+    if (schema.oldName !== undefined && typeof schema.oldName !== 'string') {
+      throw new TypeError('The schema\'s oldName must be a string');
+    }
+    if (schema.softDelete !== undefined && typeof schema.softDelete !== 'string') {
+      throw new TypeError('The schema\'s softDelete option must be a column name');
+    }
     validateMigrationStrategy(migrationStrategy);
 
+    schema = addOptionColumns(schema);
+
     migrationStrategy = this._getSanitizedMigrationStrategy(migrationStrategy);
     this._tables.set(name, new TableDefinition(name, schema, this, migrationStrategy));
 
@@ -149,12 +213,29 @@ class PoolPlus extends Pool {
    *
    * Generally, this should only be called once when starting up a server.
    *
-   * __Warning:__ If an error occurs while syncing, the database will be in an unknown state.
-   * Always keep a backup of your database so you can restore it to the latest working state.
+   * A `GET_LOCK()` lock is held while syncing so that if multiple app instances start at the same
+   * time, they will sync one after another instead of trying to make the same changes at once.
+   *
+   * The operations are run one at a time in the same order as they are listed by
+   * {@link PoolPlus#planSync|`pool.planSync()`} and the pool emits an event before and after each
+   * operation. If the `syncJournal` option is enabled (see the {@link module:mysql-plus~createPool|`config`}),
+   * each operation is also recorded in the `mysql_plus_sync_journal` table once it has been run
+   * (along with the operation that failed, if there was an error).
+   *
+   * __Warning:__ MySQL cannot roll back schema changes, so if an error occurs while syncing, the
+   * operations that completed before the error will remain applied. The error will have an
+   * `operation` property with the operation that failed and a `completedOperations` property
+   * with the operations that were run before it. Once the problem has been fixed, calling
+   * `sync()` again will resume from where it left off, since operations are always planned
+   * from the current state of the database. Always keep a backup of your database so you can
+   * restore it to the latest working state if something goes wrong.
    *
    * @param {function} [cb] - A callback that is called once all defined table schemas have been synced to the
    *     database. If an error occured, the first argument passed to the callback will be the error object.
    * @returns {?Promise} If `cb` is not provided, a promise will be returned.
+   * @fires PoolPlus#operationStart
+   * @fires PoolPlus#operationEnd
+   * @fires PoolPlus#operationError
    *
    * @example <caption>With a callback</caption>
    * pool.sync((err) => {
@@ -169,50 +250,206 @@ class PoolPlus extends Pool {
    *   }, (err) => {
    *     // Error
    *   });
+   *
+   * @example <caption>Reporting progress</caption>
+   * pool.on('operationEnd', (operation) => {
+   *   console.log(`Finished ${operation.type} on ${operation.table}`);
+   * });
+   * pool.sync()
+   *   .catch((err) => {
+   *     console.error(`Sync failed while running: ${err.operation.sql}`);
+   *   });
    */
-  sync(cb) { // eslint-disable-line consistent-return
-    if (!cb) {
+  sync(cb) {
+    if (this._tables.size === 0 && !this._dropUndefinedTables) {
+      return promiseOrCallback(Promise.resolve(), cb);
+    }
+
+    const promise = this._withLock(this._syncLockName, this._syncLockTimeout, (connection) => {
       return new Promise((resolve, reject) => {
-        this.sync((err) => {
+        // Plan the operations after getting the lock in case another process synced the tables while waiting
+        this._genSyncOperations(connection, (err, operations) => {
           if (err) {
             reject(err);
-          } else {
-            resolve();
+            return;
           }
+
+          resolve(this._runOperations(operations, connection));
         });
       });
-    }
+    });
 
-    var tablesRemaining = this._tables.size;
-    if (tablesRemaining === 0) {
-      process.nextTick(cb);
-      return; // eslint-disable-line consistent-return
-    }
+    return promiseOrCallback(promise, cb);
+  }
+  /**
+   * Emitted by {@link PoolPlus#sync|`pool.sync()`} before an operation is run.
+   *
+   * @event PoolPlus#operationStart
+   * @type {Object}
+   * @property {string} type - The operation's type (such as `CREATE_TABLE`).
+   * @property {string} table - The name of the table the operation is for.
+   * @property {string} sql - The SQL that will be run.
+   */
+  /**
+   * Emitted by {@link PoolPlus#sync|`pool.sync()`} after an operation has been run successfully.
+   * It receives the same operation object as the {@link PoolPlus#event:operationStart|`operationStart`} event.
+   *
+   * @event PoolPlus#operationEnd
+   * @type {Object}
+   */
+  /**
+   * Emitted by {@link PoolPlus#sync|`pool.sync()`} when an operation fails. Listeners are called
+   * with the error and the same operation object as the
+   * {@link PoolPlus#event:operationStart|`operationStart`} event.
+   *
+   * @event PoolPlus#operationError
+   * @type {Error}
+   */
 
-    var error = null;
-    const allOperations = [];
-    const addOperations = (err, operations) => {
-      if (err) {
-        error = error || err;
-      } else if (operations.length) {
-        allOperations.push(...operations);
-      }
+  /**
+   * Generates the operations that {@link PoolPlus#sync|`pool.sync()`} would perform, but does
+   * not run them. This is useful for reviewing schema changes before they are applied to the database.
+   *
+   * @param {function} [cb] - A callback that is called with the planned operations. If an error occured,
+   *     the first argument passed to the callback will be the error object.
+   * @returns {?Promise} If `cb` is not provided, a promise will be returned.
+   *     It will resolve with an array of operations in the order they would be run, where
+   *     each operation is an object with the properties `type`, `table`, and `sql`.
+   *
+   * @example
+   * pool.planSync()
+   *   .then((operations) => {
+   *     console.log(operations);
+   *     // [
+   *     //   {
+   *     //     type: 'CREATE_TABLE',
+   *     //     table: 'user',
+   *     //     sql: 'CREATE TABLE `user` (\n  `id` int unsigned NOT NULL,\n  PRIMARY KEY (`id`)\n)',
+   *     //   },
+   *     // ]
+   *   });
+   */
+  planSync(cb) {
+    const promise = new Promise((resolve, reject) => {
+      this._genSyncOperations(this, (err, operations) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(operations.sort(Operation.sorter).map(getOperationInfo));
+        }
+      });
+    });
 
-      if (--tablesRemaining > 0) {
-        return;
-      }
+    return promiseOrCallback(promise, cb);
+  }
 
-      if (error) {
-        cb(error);
-        return;
-      }
+  /**
+   * Runs all of the migrations in the `migrationsDir` directory (from the
+   * {@link module:mysql-plus~createPool|`config`}) that have not been run yet.
+   *
+   * Each migration is run in its own {@link PoolPlus#transaction|transaction} and is recorded in
+   * the `mysql_plus_migrations` table in that transaction once its `up` function resolves. A lock
+   * is held while migrating so that multiple app instances will not run the same migrations at the same time.
+   *
+   * __Note:__ Statements that change a table's structure cause an implicit commit, so migrations
+   * that contain them are not atomic. See the [Migrations](#migrations) section for what a failed
+   * migration leaves behind.
+   *
+   * @param {function} [cb] - A callback that is called once the migrations have been run. If an error
+   *     occured, the first argument passed to the callback will be the error object.
+   * @returns {?Promise} If `cb` is not provided, a promise will be returned.
+   *     It will resolve with an array of the names of the migrations that were run.
+   * @see [Migrations](#migrations)
+   *
+   * @example
+   * pool.migrate()
+   *   .then((migrationNames) => {
+   *     console.log(migrationNames); // -> ['1_create_user_table', '2_add_user_names']
+   *   });
+   */
+  migrate(cb) {
+    return promiseOrCallback(this._getMigrator().then(migrator => migrator.migrate()), cb);
+  }
 
-      this._runOperations(allOperations, cb);
-    };
+  /**
+   * Rolls back the most recently run migrations by running their `down` functions.
+   *
+   * @param {number} [count=1] - The number of migrations to roll back (must be a positive integer).
+   * @param {function} [cb] - A callback that is called once the migrations have been rolled back.
+   *     If an error occured, the first argument passed to the callback will be the error object.
+   * @returns {?Promise} If `cb` is not provided, a promise will be returned.
+   *     It will resolve with an array of the names of the migrations that were rolled back.
+   * @see [Migrations](#migrations)
+   *
+   * @example
+   * pool.rollback(2)
+   *   .then((migrationNames) => {
+   *     console.log(migrationNames); // -> ['2_add_user_names', '1_create_user_table']
+   *   });
+   */
+  rollback(count, cb) {
+    if (typeof count === 'function') {
+      cb = count;
+      count = 1;
+    } else if (count === undefined) {
+      count = 1;
+    }
 
-    for (const tableDefintion of this._tables.values()) {
-      tableDefintion.genSyncOperations(addOperations);
+    if (!Number.isInteger(count) || count < 1) {
+      return promiseOrCallback(
+        Promise.reject(new TypeError('The number of migrations to roll back must be a positive integer')),
+        cb
+      );
     }
+
+    return promiseOrCallback(this._getMigrator().then(migrator => migrator.rollback(count)), cb);
+  }
+
+  /**
+   * Writes a new migration file to the `migrationsDir` directory (from the
+   * {@link module:mysql-plus~createPool|`config`}) with the SQL needed to migrate the database
+   * to match the defined tables (as if they were synced with the `alter` migration strategy).
+   * The file's `down` function will contain a best-effort attempt at reversing the changes.
+   *
+   * This is useful for creating reviewable migrations for production environments, where
+   * the `safe` migration strategy prevents existing tables from being changed by
+   * {@link PoolPlus#sync|`pool.sync()`}.
+   *
+   * @param {string} name - A name for the migration. It will be used in the migration's file name.
+   * @param {function} [cb] - A callback that is called once the file has been written. If an error
+   *     occured, the first argument passed to the callback will be the error object.
+   * @returns {?Promise} If `cb` is not provided, a promise will be returned. It will resolve with the
+   *     path of the new migration file or `null` if the database already matches the defined tables
+   *     (in which case no file is written).
+   * @see [Migrations](#migrations)
+   *
+   * @example
+   * pool.generateMigration('add_user_names')
+   *   .then((filePath) => {
+   *     console.log(filePath); // -> '/path/to/migrations/20200630154500_add_user_names.js'
+   *   });
+   */
+  generateMigration(name, cb) {
+    const promise = this._getMigrator().then(migrator => new Promise((resolve, reject) => {
+      this._genMigrationOperations((err, operations) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(operations);
+        }
+      });
+    }).then((operations) => {
+      if (operations.up.length === 0 && operations.down.length === 0) {
+        return null;
+      }
+      return migrator.generate(
+        name,
+        operations.up.sort(Operation.sorter).map(operation => operation.sql),
+        operations.down.sort(Operation.sorter).map(operation => operation.sql)
+      );
+    }));
+
+    return promiseOrCallback(promise, cb);
   }
 
   /**
@@ -302,46 +539,17 @@ class PoolPlus extends Pool {
           return;
         }
 
-        function rollback(error) {
-          connection.rollback(() => {
-            connection.release();
-            reject(error);
-          });
-        }
-
-        function commit(result) {
-          connection.commit((err) => {
-            if (err) {
-              rollback(err);
-              return;
-            }
-            connection.release();
-            resolve(result);
-          });
-        }
-
-        function handleDone(err, result) {
-          if (err) {
-            rollback(err);
-          } else {
-            commit(result);
-          }
-        }
-
-        connection.beginTransaction((err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          const trxnPromise = trxnHandler(connection, handleDone);
-          if (typeof trxnPromise === 'object' && trxnPromise !== null) {
-            trxnPromise.then(commit, rollback);
-          }
+        runTransaction(connection, trxnHandler).then((result) => {
+          connection.release();
+          resolve(result);
+        }, (err) => {
+          connection.release();
+          reject(err);
         });
       });
     });
   }
+
   /**
    * A function that will make queries during a transaction.
    *
@@ -381,6 +589,19 @@ class PoolPlus extends Pool {
    * }
    */
 
+  // Resolves with the server's version string, which is only queried once and then cached
+  $getServerVersion() {
+    if (this._serverVersion === null) {
+      this._serverVersion = this.pquery('SELECT VERSION() AS `version`')
+        .then(rows => rows[0].version)
+        .catch((err) => {
+          this._serverVersion = null; // Allow the query to be retried
+          throw err;
+        });
+    }
+    return this._serverVersion;
+  }
+
   _getSanitizedMigrationStrategy(inputStrategy) {
     if (!inputStrategy) {
       return this._migrationStrategy || (process.env.NODE_ENV === 'production' ? 'safe' : 'alter');
@@ -394,64 +615,338 @@ class PoolPlus extends Pool {
     return inputStrategy;
   }
 
-  _runOperations(operations, cb) {
-    if (operations.length === 0) {
-      cb();
+  // Resolves with a `Migrator` or rejects if the `migrationsDir` option was not set
+  _getMigrator() {
+    if (this._migrationsDir === null) {
+      return Promise.reject(new Error('The `migrationsDir` option must be set to use migrations'));
+    }
+    return Promise.resolve(new Migrator(this, this._migrationsDir));
+  }
+
+  _withLock(name, timeout, handler) {
+    return new Promise((resolve, reject) => {
+      this.getConnection((err, connection) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        connection.query('SELECT GET_LOCK(?, ?) AS `locked`', [name, timeout], (err, rows) => {
+          if (err || +rows[0].locked !== 1) {
+            connection.release();
+            reject(err || new Error(`Timed out waiting to acquire the "${name}" lock`));
+            return;
+          }
+
+          function unlock(error, result) {
+            connection.query('DO RELEASE_LOCK(?)', [name], (err) => {
+              if (err) {
+                connection.destroy(); // Destroying the connection also releases the lock
+              } else {
+                connection.release();
+              }
+
+              if (error || err) {
+                reject(error || err);
+              } else {
+                resolve(result);
+              }
+            });
+          }
+
+          Promise.resolve()
+            .then(() => handler(connection))
+            .then(result => unlock(null, result), unlock);
+        });
+      });
+    });
+  }
+
+  _genSyncOperations(db, cb) {
+    var tablesRemaining = this._tables.size + (this._dropUndefinedTables ? 1 : 0);
+    if (tablesRemaining === 0) {
+      process.nextTick(cb, null, []);
       return;
     }
 
-    this.getConnection((err, connection) => {
+    var error = null;
+    const allOperations = [];
+    const addOperations = (tableName, err, operations) => {
+      if (err) {
+        error = error || err;
+      } else {
+        for (const operation of operations) {
+          if (operation.table === undefined) {
+            operation.table = tableName;
+          }
+          allOperations.push(operation);
+        }
+      }
+
+      if (--tablesRemaining > 0) {
+        return;
+      }
+
+      if (error) {
+        cb(error);
+      } else {
+        cb(null, removeDuplicateInboundOperations(allOperations));
+      }
+    };
+
+    for (const tableDefintion of this._tables.values()) {
+      tableDefintion.genSyncOperations(db, addOperations.bind(null, tableDefintion.name));
+    }
+
+    if (this._dropUndefinedTables) {
+      this._genDropUndefinedTablesOperations(db, addOperations.bind(null, undefined));
+    }
+  }
+
+  _genDropUndefinedTablesOperations(db, cb) {
+    db.query('SHOW FULL TABLES WHERE `Table_type` = \'BASE TABLE\'', (err, rows) => {
       if (err) {
         cb(err);
         return;
       }
 
-      var opsLeft = operations.length;
-      var errored = false;
+      const oldTableNames = Array.from(this._tables.values(), tableDefinition => tableDefinition.oldName);
+      const tableNames = rows
+        .map(row => row[Object.keys(row)[0]])
+        .filter(tableName => (
+          !this._tables.has(tableName) &&
+          oldTableNames.indexOf(tableName) < 0 && // Tables being renamed are not undefined
+          !this._isKeptTable(tableName)
+        ));
+
+      if (tableNames.length === 0) {
+        cb(null, []);
+        return;
+      }
 
-      function handleQuery(err) {
-        if (errored) {
-          return;
-        }
+      db.query(
+        'SELECT `TABLE_NAME`, `CONSTRAINT_NAME` FROM `information_schema`.`TABLE_CONSTRAINTS` ' +
+        'WHERE `TABLE_SCHEMA` = DATABASE() AND `CONSTRAINT_TYPE` = \'FOREIGN KEY\' AND `TABLE_NAME` IN (?)',
+        [tableNames],
+        (err, foreignKeyRows) => {
+          if (err) {
+            cb(err);
+            return;
+          }
 
-        if (err) {
-          cb(err);
-          errored = true;
-          return;
-        }
+          const operations = [];
+
+          for (const row of foreignKeyRows) {
+            const operation = Operation.create(
+              Operation.Types.DROP_FOREIGN_KEY,
+              'ALTER TABLE ' + this.escapeId(row.TABLE_NAME) + ' DROP FOREIGN KEY ' + this.escapeId(row.CONSTRAINT_NAME)
+            );
+            operation.table = row.TABLE_NAME;
+            operations.push(operation);
+          }
+
+          for (const tableName of tableNames) {
+            const operation = Operation.create(Operation.Types.DROP_TABLE, 'DROP TABLE ' + this.escapeId(tableName));
+            operation.table = tableName;
+            operations.push(operation);
+          }
 
-        if (--opsLeft === 0) {
-          cb();
+          cb(null, operations);
         }
+      );
+    });
+  }
+
+  _isKeptTable(tableName) {
+    return this._keepTables.some(
+      keepTable => typeof keepTable === 'string' ? keepTable === tableName : keepTable.test(tableName)
+    );
+  }
+
+  _genMigrationOperations(cb) {
+    var tablesRemaining = this._tables.size;
+    if (tablesRemaining === 0) {
+      process.nextTick(cb, null, {up: [], down: []});
+      return;
+    }
+
+    var error = null;
+    const up = [];
+    const down = [];
+    const addOperations = (err, operations) => {
+      if (err) {
+        error = error || err;
+      } else {
+        up.push(...operations.up);
+        down.push(...operations.down);
       }
 
-      if (this._debug) {
-        for (let i = 0; i < opsLeft; i++) {
-          connection.query(operations[i].sql, (err) => { // eslint-disable-line no-loop-func
-            if (err && !errored) {
-              debugSyncErrorOperation(operations[i]);
-            }
-            handleQuery(err);
-          });
-        }
+      if (--tablesRemaining > 0) {
+        return;
+      }
+
+      if (error) {
+        cb(error);
       } else {
-        for (let i = 0; i < opsLeft; i++) {
-          connection.query(operations[i].sql, handleQuery);
-        }
+        cb(null, {
+          up: removeDuplicateInboundOperations(up),
+          down: orderDropTableOperations(removeDuplicateInboundOperations(down)),
+        });
       }
-    });
+    };
+
+    for (const tableDefintion of this._tables.values()) {
+      tableDefintion.genMigrationOperations(addOperations);
+    }
+  }
+
+  _runOperations(operations, connection) {
+    if (operations.length === 0) {
+      return Promise.resolve();
+    }
 
-    // Sort the operations while the connection is being fetched
     operations.sort(Operation.sorter);
 
     if (this._debug) {
       debugOperations(operations);
     }
+
+    const batchPromise = this._syncJournal ? startSyncJournal(connection) : Promise.resolve(null);
+
+    return batchPromise.then((batch) => {
+      const completedOperations = [];
+
+      return runSequentially(operations, (operation) => {
+        const operationInfo = getOperationInfo(operation);
+        this.emit('operationStart', operationInfo);
+
+        return queryConnection(connection, operation.sql)
+          .catch((err) => {
+            if (this._debug) {
+              debugSyncErrorOperation(operation);
+            }
+
+            err.operation = operationInfo;
+            err.completedOperations = completedOperations;
+            this.emit('operationError', err, operationInfo);
+
+            const rethrow = () => {
+              throw err;
+            };
+            return writeSyncJournal(connection, batch, operationInfo, err).then(rethrow, rethrow);
+          })
+          .then(() => {
+            completedOperations.push(operationInfo);
+            return writeSyncJournal(connection, batch, operationInfo, null);
+          })
+          .then(() => {
+            this.emit('operationEnd', operationInfo);
+          });
+      });
+    });
+  }
+}
+
+function startSyncJournal(connection) {
+  return queryConnection(
+    connection,
+    'CREATE TABLE IF NOT EXISTS ?? (' +
+      '`id` int unsigned NOT NULL AUTO_INCREMENT PRIMARY KEY, ' +
+      '`batch` int unsigned NOT NULL, ' +
+      '`type` varchar(32) NOT NULL, ' +
+      '`table` varchar(64) NOT NULL, ' +
+      '`sql` mediumtext NOT NULL, ' +
+      '`error` text, ' +
+      '`created` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP, ' +
+      'KEY (`batch`)' +
+    ')',
+    [SYNC_JOURNAL_TABLE]
+  )
+    .then(() => queryConnection(
+      connection,
+      'SELECT IFNULL(MAX(`batch`), 0) + 1 AS `batch` FROM ??',
+      [SYNC_JOURNAL_TABLE]
+    ))
+    .then(rows => rows[0].batch);
+}
+
+function writeSyncJournal(connection, batch, operationInfo, error) {
+  if (batch === null) { // The journal is disabled
+    return Promise.resolve();
+  }
+
+  return queryConnection(connection, 'INSERT INTO ?? SET ?', [SYNC_JOURNAL_TABLE, {
+    batch,
+    type: operationInfo.type,
+    table: operationInfo.table,
+    sql: operationInfo.sql,
+    error: error && error.message,
+  }]);
+}
+
+// Removes operations that drop and re-add a foreign key that references a column being modified if
+// the foreign key is already being dropped by the operations for the table the foreign key is on
+function removeDuplicateInboundOperations(operations) {
+  const droppedKeys = new Set();
+
+  for (const operation of operations) {
+    if (operation.type === Operation.Types.DROP_FOREIGN_KEY && operation.inboundKey === undefined) {
+      droppedKeys.add(operation.sql);
+    }
   }
+
+  return operations.filter(operation => operation.inboundKey === undefined || !droppedKeys.has(operation.inboundKey));
+}
+
+// Reorders the DROP TABLE operations (by swapping their positions) so that tables are dropped before the
+// tables they reference. Tables that reference each other are left in their original order.
+function orderDropTableOperations(operations) {
+  const remaining = operations.filter(operation => operation.type === Operation.Types.DROP_TABLE);
+  const positions = remaining.map(operation => operation.position).sort((a, b) => a - b);
+  const isReferenced = operation => remaining.some(
+    other => other !== operation && other.referencedTables !== undefined &&
+      other.referencedTables.indexOf(operation.table) >= 0
+  );
+
+  for (const position of positions) {
+    const index = Math.max(remaining.findIndex(operation => !isReferenced(operation)), 0);
+    remaining.splice(index, 1)[0].position = position;
+  }
+
+  return operations;
+}
+
+function queryConnection(connection, sql, values) {
+  return new Promise((resolve, reject) => {
+    const handleResults = (err, results) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(results);
+      }
+    };
+
+    if (values === undefined) {
+      connection.query(sql, handleResults);
+    } else {
+      connection.query(sql, values, handleResults);
+    }
+  });
+}
+
+function getOperationInfo(operation) {
+  return {
+    type: getOperationTypeName(operation),
+    table: operation.table,
+    sql: operation.sql,
+  };
+}
+
+function getOperationTypeName(operation) {
+  return Object.keys(Operation.Types).find(typeName => Operation.Types[typeName] === operation.type);
 }
 
 function debugOperations(operations, debuggingError) {
-  const opTypeNames = Object.keys(Operation.Types);
   const header = debuggingError
     ? '\n====== mysql-plus sync errored on operation: ======\n\n'
     : '\n============= mysql-plus operations: ==============\n\n';
@@ -460,7 +955,7 @@ function debugOperations(operations, debuggingError) {
     header +
     operations.map(
       operation =>
-        'type: ' + opTypeNames.find(typeName => Operation.Types[typeName] === operation.type) +
+        'type: ' + getOperationTypeName(operation) +
         `\n${operation.sql};`
     ).join('\n\n') +
     '\n\n===================================================\n'
@@ -0,0 +1,497 @@
+'use strict';
+
+const promiseOrCallback = require('./utils/promiseOrCallback');
+const {formatComparison, formatConditions} = require('./utils/formatConditions');
+
+const OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', '<=>', 'LIKE', 'NOT LIKE', 'IN', 'NOT IN', 'IS', 'IS NOT'];
+const MAX_LIMIT = '18446744073709551615'; // MySQL requires a LIMIT when using OFFSET
+
+/**
+ * A class for building the `JOIN`, `WHERE`, `ORDER BY`, and `LIMIT` clauses of a query on a
+ * table one piece at a time. To create an instance, use {@link MySQLTable#where|`table.where()`},
+ * {@link MySQLTable#orderBy|`table.orderBy()`}, {@link MySQLTable#limit|`table.limit()`},
+ * {@link MySQLTable#offset|`table.offset()`}, {@link MySQLTable#join|`table.join()`},
+ * or {@link MySQLTable#with|`table.with()`}.
+ *
+ * All of the building methods return a new `QueryBuilder` instance and leave the original
+ * unchanged, so a partially built query can be reused as the base for other queries.
+ *
+ * The query is run by calling {@link QueryBuilder#select|`select()`}, {@link QueryBuilder#exists|`exists()`},
+ * {@link QueryBuilder#update|`update()`}, or {@link QueryBuilder#delete|`delete()`}, which
+ * call the `MySQLTable` method of the same name with the built SQL as the `sqlString` argument.
+ *
+ * @example
+ * userTable.where({banned: 0})
+ *   .andWhere('points', '>', 10000)
+ *   .orderBy('created', 'desc')
+ *   .limit(10)
+ *   .select(['email', 'name'])
+ *   .then(rows => console.log(rows)); // -> [{email: 'email@example.com', name: 'John Doe'}, ...]
+ *
+ * // SELECT `email`, `name` FROM `user`
+ * // WHERE `banned` = 0 AND `points` > 10000
+ * // ORDER BY `created` DESC LIMIT 10;
+ *
+ * @example <caption>Reusing a partially built query</caption>
+ * const activeUsers = userTable.where('lastLogin', '>', lastWeek);
+ *
+ * activeUsers.exists(); // Checks if there are any active users
+ * activeUsers.orderBy('points', 'desc').limit(1).select('*'); // Selects the active user with the most points
+ */
+class QueryBuilder {
+  constructor(table, db) {
+    this._table = table;
+    this._db = db;
+    this._conditions = [];
+    this._orderBy = [];
+    this._limit = null;
+    this._offset = null;
+    this._with = [];
+    this._joins = [];
+  }
+
+  /**
+   * Adds a condition to the query's `WHERE` clause. If there already are conditions,
+   * the new condition is combined with them using `AND`.
+   *
+   * This method can be called in a few different ways:
+   *
+   * + `where(conditions: Object)` - A [conditions object](#conditions-objects) where every condition must be true
+   * + `where(column: string, value: any)` - The column must be equal to the value (or be in the value if it
+   *   is an array, or be `NULL` if the value is `null`)
+   * + `where(column: string, operator: string, value: any)` - The column is compared to the value
+   *   using the operator (one of `=`, `!=`, `<>`, `<`, `<=`, `>`, `>=`, `<=>`, `LIKE`, `NOT LIKE`,
+   *   `IN`, `NOT IN`, `IS`, or `IS NOT`)
+   * + `where(sqlString: string, [values: Array])` - A custom SQL condition, where `values` replace
+   *   any `?` placeholders in the `sqlString`
+   *
+   * @param {Object|string} conditions - An object of conditions, a column name, or an SQL condition.
+   * @param {*} [operator] - The comparison operator, or the value if no operator is being used.
+   * @param {*} [value] - The value to compare the column to.
+   * @returns {QueryBuilder} A new `QueryBuilder` with the added condition.
+   *
+   * @example
+   * userTable.where({email: 'email@example.com'}).select('*');
+   * // SELECT * FROM `user` WHERE `email` = 'email@example.com';
+   *
+   * userTable.where('id', 5).select('*');
+   * // SELECT * FROM `user` WHERE `id` = 5;
+   *
+   * userTable.where('points', '>=', 100).select('*');
+   * // SELECT * FROM `user` WHERE `points` >= 100;
+   *
+   * userTable.where('`points` > ? OR `admin` = 1', [100]).select('*');
+   * // SELECT * FROM `user` WHERE `points` > 100 OR `admin` = 1;
+   */
+  where(...args) {
+    return this._addCondition('AND', args);
+  }
+
+  /**
+   * The same as {@link QueryBuilder#where|`where()`}.
+   *
+   * @param {Object|string} conditions
+   * @param {*} [operator]
+   * @param {*} [value]
+   * @returns {QueryBuilder}
+   */
+  andWhere(...args) {
+    return this._addCondition('AND', args);
+  }
+
+  /**
+   * The same as {@link QueryBuilder#where|`where()`} except that the new condition
+   * is combined with any existing conditions using `OR`.
+   *
+   * Conditions are combined in the order they are added, so when `AND` and `OR` are mixed,
+   * the existing conditions are wrapped in parentheses before a condition with a different
+   * connector is added (`where(a).orWhere(b).andWhere(c)` becomes `(a OR b) AND c`).
+   *
+   * @param {Object|string} conditions
+   * @param {*} [operator]
+   * @param {*} [value]
+   * @returns {QueryBuilder}
+   *
+   * @example
+   * userTable.where('points', '>', 10000).orWhere({admin: 1}).select('*');
+   * // SELECT * FROM `user` WHERE `points` > 10000 OR `admin` = 1;
+   *
+   * userTable.where('points', '>', 10000).orWhere({admin: 1}).andWhere({banned: 0}).select('*');
+   * // SELECT * FROM `user` WHERE (`points` > 10000 OR `admin` = 1) AND `banned` = 0;
+   */
+  orWhere(...args) {
+    return this._addCondition('OR', args);
+  }
+
+  /**
+   * Adds a column to the query's `ORDER BY` clause.
+   *
+   * @param {string} column - The name of the column to order by.
+   * @param {string} [direction=ASC] - Either `'ASC'` or `'DESC'` (case-insensitive).
+   * @returns {QueryBuilder} A new `QueryBuilder` with the added ordering.
+   *
+   * @example
+   * userTable.orderBy('points', 'desc').orderBy('name').select('*');
+   * // SELECT * FROM `user` ORDER BY `points` DESC, `name` ASC;
+   */
+  orderBy(column, direction) {
+    direction = direction === undefined ? 'ASC' : String(direction).toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw new TypeError('The order direction must be either "ASC" or "DESC"');
+    }
+
+    const builder = this._clone();
+    builder._orderBy.push(this._db.escapeId(column) + ' ' + direction);
+    return builder;
+  }
+
+  /**
+   * Sets the maximum number of rows that the query will affect.
+   *
+   * @param {number} count - A non-negative integer.
+   * @returns {QueryBuilder} A new `QueryBuilder` with the `LIMIT`.
+   */
+  limit(count) {
+    validateCount(count, 'limit');
+
+    const builder = this._clone();
+    builder._limit = count;
+    return builder;
+  }
+
+  /**
+   * Sets the number of rows to skip before rows are selected.
+   *
+   * @param {number} count - A non-negative integer.
+   * @returns {QueryBuilder} A new `QueryBuilder` with the `OFFSET`.
+   *
+   * @example
+   * userTable.orderBy('id').limit(10).offset(20).select('*');
+   * // SELECT * FROM `user` ORDER BY `id` ASC LIMIT 10 OFFSET 20;
+   */
+  offset(count) {
+    validateCount(count, 'offset');
+
+    const builder = this._clone();
+    builder._offset = count;
+    return builder;
+  }
+
+  /**
+   * Adds relations whose rows will be loaded and attached to the selected rows. The relations
+   * must have been declared on the table with {@link MySQLTable#hasMany|`table.hasMany()`},
+   * {@link MySQLTable#hasOne|`table.hasOne()`}, {@link MySQLTable#belongsTo|`table.belongsTo()`},
+   * or {@link MySQLTable#manyToMany|`table.manyToMany()`}.
+   *
+   * Each relation is loaded with one query (or two for many-to-many relations) that selects the related
+   * rows of all of the selected rows at once using `WHERE key IN (...)`. Relations of related tables
+   * can be loaded by separating the relation names with dots (e.g. `'posts.comments'`).
+   *
+   * The columns used by the relations' keys must be selected. Relations are only loaded by
+   * {@link QueryBuilder#select|`select()`}. An error is thrown if a relation has not been declared.
+   * Relations cannot be loaded by queries that have {@link QueryBuilder#join|joins} (because the
+   * joined columns are aliased, the key columns can't be found in the selected rows), so
+   * `select()` fails if the query has both.
+   *
+   * @param {...string} relationNames - The names of the relations to load.
+   * @returns {QueryBuilder} A new `QueryBuilder` that loads the relations.
+   *
+   * @example
+   * userTable.with('posts', 'posts.comments').where('id', [1, 2]).select('*')
+   *   .then(users => console.log(users[0].posts[0].comments));
+   *
+   * // SELECT * FROM `user` WHERE `id` IN (1, 2);
+   * // SELECT * FROM `post` WHERE `authorID` IN (1, 2);
+   * // SELECT * FROM `comment` WHERE `postID` IN (1, 3, 4);
+   */
+  with(...relationNames) {
+    for (const relationName of relationNames) {
+      if (typeof relationName !== 'string') {
+        throw new TypeError('The relation names must be strings');
+      }
+      this._table.$validateRelationName(relationName);
+    }
+
+    const builder = this._clone();
+    builder._with.push(...relationNames);
+    return builder;
+  }
+
+  /**
+   * Joins another table to the query's table.
+   *
+   * The `on` condition can be either an object that maps columns in the query's table (the keys) to
+   * columns in the joined table (the values), or a custom SQL condition. Columns can be qualified with
+   * a table name to use columns from other tables. If `on` is omitted, the condition is inferred
+   * from the foreign key between the tables (there must be exactly one foreign key in the tables'
+   * schemas that references the other table). Soft-deleted rows of the joined table are not joined.
+   *
+   * When the query is selected with `'*'`, the selected columns are all of the columns in the tables'
+   * schemas with aliases of the form `table__column`, so columns with the same name in different tables
+   * don't overwrite each other. If any of the tables don't have a schema, the columns can't be listed,
+   * so the rows are selected using the `mysql` [`nestTables`](https://github.com/mysqljs/mysql#joins-with-overlapping-column-names)
+   * option instead (so each row is an object with the columns of each table in a separate object).
+   * When the columns are an array, columns that are qualified with a table name (`'table.column'`)
+   * are aliased as `table__column`.
+   *
+   * Joins are only used when selecting rows or checking if rows exist (updating or deleting rows
+   * fails if the query has joins). Relations added with {@link QueryBuilder#with|`with()`} can't be
+   * loaded by queries with joins.
+   *
+   * @param {MySQLTable} table - The table to join.
+   * @param {Object|string} [on] - The join condition.
+   * @param {string} [type=INNER] - Either `'INNER'` or `'LEFT'` (case-insensitive).
+   * @returns {QueryBuilder} A new `QueryBuilder` with the join.
+   *
+   * @example
+   * userTable.join(postTable, {id: 'authorID'}, 'left').where('user.id', 1).select('*')
+   *   .then(rows => console.log(rows));
+   *   // -> [{user__id: 1, user__name: 'John', post__id: 3, post__authorID: 1, post__title: 'Hi'}, ...]
+   *
+   * // SELECT `user`.`id` AS `user__id`, `user`.`name` AS `user__name`, `post`.`id` AS `post__id`,
+   * // `post`.`authorID` AS `post__authorID`, `post`.`title` AS `post__title`
+   * // FROM `user` LEFT JOIN `post` ON `user`.`id` = `post`.`authorID` WHERE `user`.`id` = 1;
+   *
+   * userTable.join(postTable).select(['user.name', 'post.title']);
+   * // SELECT `user`.`name` AS `user__name`, `post`.`title` AS `post__title`
+   * // FROM `user` INNER JOIN `post` ON `post`.`authorID` = `user`.`id`;
+   */
+  join(table, on, type) {
+    const builder = this._clone();
+    builder._joins.push({table, sql: this._table.$formatJoin(table, on, type)});
+    return builder;
+  }
+
+  /**
+   * Selects data from the table using the built query.
+   *
+   * @param {string[]|string} columns - An array of columns to select or a custom `SELECT` string.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     of the query is returned.
+   * @see {@link MySQLTable#select|`table.select()`}
+   */
+  select(columns, cb) {
+    if (this._joins.length > 0) {
+      if (this._with.length > 0) {
+        const err = new Error('Relations cannot be loaded by queries with joins');
+        return promiseOrCallback(Promise.reject(err), cb);
+      }
+      return this._table.$selectJoined(columns, this._joins.map(join => join.table), this.toSQL(), cb);
+    }
+
+    if (this._with.length === 0) {
+      return this._table.select(columns, this.toSQL(), cb);
+    }
+
+    const promise = this._table.select(columns, this.toSQL())
+      .then(rows => this._table.$loadRelations(rows, this._with));
+
+    return promiseOrCallback(promise, cb);
+  }
+
+  /**
+   * Checks if rows that match the query's conditions exist (the `ORDER BY`,
+   * `LIMIT`, and `OFFSET` parts of the query are ignored).
+   *
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with
+   *     the results of the query where the `results` will be either `true` or `false`.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will
+   *     resolve with either `true` or `false` is returned.
+   * @see {@link MySQLTable#exists|`table.exists()`}
+   */
+  exists(cb) {
+    const joinClauses = this._getJoinClauses();
+    const whereClause = this._getWhereClause();
+    return this._table.exists(joinClauses + (joinClauses && whereClause ? ' ' : '') + whereClause, cb);
+  }
+
+  /**
+   * Updates the rows that match the query.
+   *
+   * @param {Object|string} data - An object of (column name)-(data value) pairs that define the new
+   *     column values or a custom `SET` string.
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     of the query is returned.
+   * @see {@link MySQLTable#update|`table.update()`}
+   *
+   * @example
+   * userTable.where('id', 5).update({email: 'updated@email.com'});
+   * // UPDATE `user` SET `email` = 'updated@email.com' WHERE `id` = 5;
+   */
+  update(data, cb) {
+    const joinsError = this._getJoinsError();
+    if (joinsError !== null) {
+      return promiseOrCallback(Promise.reject(joinsError), cb);
+    }
+
+    if (typeof data === 'string') {
+      return this._table.update(data + ' ' + this.toSQL(), cb);
+    }
+    return this._table.update(data, this.toSQL(), cb);
+  }
+
+  /**
+   * Deletes the rows that match the query.
+   *
+   * @param {module:mysql-plus~queryCallback} [cb] - A callback that gets called with the results of the query.
+   * @returns {?Promise} If the `cb` parameter is omitted, a promise that will resolve with the results
+   *     of the query is returned.
+   * @see {@link MySQLTable#delete|`table.delete()`}
+   *
+   * @example
+   * userTable.where({spammer: 1}).delete();
+   * // DELETE FROM `user` WHERE `spammer` = 1;
+   */
+  delete(cb) {
+    const joinsError = this._getJoinsError();
+    if (joinsError !== null) {
+      return promiseOrCallback(Promise.reject(joinsError), cb);
+    }
+    return this._table.delete(this.toSQL(), cb);
+  }
+
+  /**
+   * Returns the SQL that will be appended to the query after the `FROM table`
+   * clause (or after the `SET data` clause for updates).
+   *
+   * @returns {string} The query's `JOIN`, `WHERE`, `ORDER BY`, `LIMIT`, and `OFFSET` clauses.
+   *
+   * @example
+   * userTable.where('id', '>', 5).limit(10).toSQL(); // -> 'WHERE `id` > 5 LIMIT 10'
+   */
+  toSQL() {
+    const clauses = [];
+    const joinClauses = this._getJoinClauses();
+    const whereClause = this._getWhereClause();
+
+    if (joinClauses !== '') {
+      clauses.push(joinClauses);
+    }
+    if (whereClause !== '') {
+      clauses.push(whereClause);
+    }
+    if (this._orderBy.length > 0) {
+      clauses.push('ORDER BY ' + this._orderBy.join(', '));
+    }
+    if (this._limit !== null) {
+      clauses.push('LIMIT ' + this._limit);
+    } else if (this._offset !== null) {
+      clauses.push('LIMIT ' + MAX_LIMIT);
+    }
+    if (this._offset !== null) {
+      clauses.push('OFFSET ' + this._offset);
+    }
+
+    return clauses.join(' ');
+  }
+
+  _getJoinClauses() {
+    return this._joins.map(join => join.sql).join(' ');
+  }
+
+  _getJoinsError() {
+    return this._joins.length > 0
+      ? new Error('Joins can only be used when selecting rows or checking if rows exist')
+      : null;
+  }
+
+  _getWhereClause() {
+    const conditions = this._conditions;
+    if (conditions.length === 0) {
+      return '';
+    }
+
+    var sql = '';
+
+    for (var i = 0; i < conditions.length; i++) {
+      const condition = conditions[i];
+      // Wrap conditions that may contain AND or OR so they won't mix with the other conditions
+      const conditionSQL = condition.compound && conditions.length > 1 ? '(' + condition.sql + ')' : condition.sql;
+
+      if (i === 0) {
+        sql = conditionSQL;
+        continue;
+      }
+      // Group the previous conditions when the connector changes so that conditions
+      // are combined in the order they were added (instead of AND being combined first)
+      if (i > 1 && condition.connector !== conditions[i - 1].connector) {
+        sql = '(' + sql + ')';
+      }
+      sql += ' ' + condition.connector + ' ' + conditionSQL;
+    }
+
+    return 'WHERE ' + sql;
+  }
+
+  _addCondition(connector, args) {
+    const condition = this._formatCondition(args);
+    if (condition === null) {
+      return this;
+    }
+
+    condition.connector = connector;
+
+    const builder = this._clone();
+    builder._conditions.push(condition);
+    return builder;
+  }
+
+  _formatCondition(args) {
+    const db = this._db;
+    const first = args[0];
+
+    if (typeof first === 'object' && first !== null) {
+      return comparisonsToCondition(formatConditions(first, db));
+    }
+
+    if (typeof first !== 'string') {
+      throw new TypeError('The condition must be an object or a string');
+    }
+
+    if (args.length === 1) {
+      return {sql: first, compound: true};
+    }
+
+    if (args.length === 2) {
+      if (Array.isArray(args[1]) && first.indexOf('?') >= 0) {
+        return {sql: db.format(first, args[1]), compound: true};
+      }
+      return comparisonsToCondition(formatConditions({[first]: args[1]}, db));
+    }
+
+    const operator = String(args[1]).toUpperCase();
+    if (OPERATORS.indexOf(operator) < 0) {
+      throw new TypeError(`Invalid operator: ${args[1]}`);
+    }
+
+    return {sql: formatComparison(first, operator, args[2], db), compound: false};
+  }
+
+  _clone() {
+    const builder = new QueryBuilder(this._table, this._db);
+    builder._conditions = this._conditions.slice();
+    builder._orderBy = this._orderBy.slice();
+    builder._limit = this._limit;
+    builder._offset = this._offset;
+    builder._with = this._with.slice();
+    builder._joins = this._joins.slice();
+    return builder;
+  }
+}
+
+function comparisonsToCondition(comparisons) {
+  if (comparisons.length === 0) {
+    return null;
+  }
+  return {sql: comparisons.join(' AND '), compound: comparisons.length > 1};
+}
+
+function validateCount(count, name) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new TypeError(`The ${name} must be a non-negative integer`);
+  }
+}
+
+module.exports = QueryBuilder;
@@ -1,29 +1,49 @@
 'use strict';
 
+const CheckConstraintDefinition = require('./KeyDefinitions/CheckConstraintDefinition');
 const ForeignKeyDefinition = require('./KeyDefinitions/ForeignKeyDefinition');
 const KeyDefinitions = require('./KeyDefinitions');
 const Operation = require('./Operation');
 const PrimaryKeyDefinition = require('./KeyDefinitions/PrimaryKeyDefinition');
 
 const sqlToSchema = require('./sqlToSchema');
+const {escapeId} = require('mysql/lib/protocol/SqlString');
+
+const TABLE_OPTIONS = [
+  'engine',
+  'autoIncrement',
+  'charset',
+  'collate',
+  'compression',
+  'rowFormat',
+];
 
 class TableDefinition {
   constructor(tableName, schema, pool, migrationStrategy) {
     this.name = tableName;
+    this.oldName = schema.oldName || null;
     this._escapedName = pool.escapeId(tableName);
     this._schema = createInternalSchema(schema, tableName);
     this._pool = pool;
     this._migrationStrategy = migrationStrategy;
   }
 
-  genSyncOperations(cb) {
-    this._pool.query('SHOW TABLES LIKE \'' + this.name + '\'', (err, result) => {
+  genSyncOperations(db, cb) {
+    if (cb === undefined) {
+      cb = db;
+      db = this._pool;
+    }
+
+    // Tables are only renamed with the `alter` strategy since `safe` never changes existing tables
+    const oldName = this._migrationStrategy === 'alter' ? this.oldName : null;
+
+    this._getExistingTableName(db, oldName, (err, existingName) => {
       if (err) {
         cb(err);
         return;
       }
 
-      if (!result.length) { // Does not exist, so create
+      if (existingName === null) { // Does not exist, so create
         cb(null, this._getCreateTableOperations());
         return;
       }
@@ -33,12 +53,11 @@ class TableDefinition {
         return;
       }
 
-      this._pool.query('SHOW CREATE TABLE ' + this._escapedName, (err, rows) => {
+      getSchema(db, escapeId(existingName), (err, oldSchema) => {
         if (err) {
           cb(err);
           return;
         }
-        const oldSchema = sqlToSchema(rows[0]['Create Table']);
         if (this._migrationStrategy === 'drop') {
           const operations = this._getDropForeignKeysOperations(oldSchema).concat(
             this._getDropTableOperations(),
@@ -46,12 +65,211 @@ class TableDefinition {
           );
           cb(null, operations);
         } else { // alter
-          cb(null, this._getMigrateTableOperations(oldSchema));
+          const operations = this._getRenameTableOperations(existingName).concat(
+            this._getMigrateTableOperations(oldSchema)
+          );
+          this._addInboundForeignKeysOperations(db, operations, existingName, cb);
+        }
+      });
+    });
+  }
+
+  genMigrationOperations(cb) {
+    this._getExistingTableName(this._pool, this.oldName, (err, existingName) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+
+      if (existingName === null) {
+        const downOperations = this._getDropTableOperations();
+        // Used to drop tables that reference other new tables before the tables they reference
+        downOperations[0].table = this.name;
+        downOperations[0].referencedTables = getReferencedTableNames(this._schema);
+
+        cb(null, {
+          up: this._getCreateTableOperations(),
+          down: downOperations,
+        });
+        return;
+      }
+
+      getSchema(this._pool, escapeId(existingName), (err, oldSchema) => {
+        if (err) {
+          cb(err);
+          return;
         }
+        this._genMigrateTableOperationsPair(existingName, oldSchema, cb);
       });
     });
   }
 
+  // Generates operations to migrate the existing table (up) and to undo the migration (down)
+  _genMigrateTableOperationsPair(existingName, oldSchema, cb) {
+    const reverseDefinition = this._getReverseDefinition(existingName, oldSchema);
+    const upOperations = this._getRenameTableOperations(existingName).concat(
+      this._getMigrateTableOperations(oldSchema)
+    );
+    const downOperations = reverseDefinition._getRenameTableOperations(this.name).concat(
+      reverseDefinition._getMigrateTableOperations(this._schema)
+    );
+
+    this._addInboundForeignKeysOperations(this._pool, upOperations, existingName, (err) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      reverseDefinition._addInboundForeignKeysOperations(this._pool, downOperations, existingName, (err) => {
+        if (err) {
+          cb(err);
+        } else {
+          cb(null, {up: upOperations, down: downOperations});
+        }
+      });
+    });
+  }
+
+  // Calls back with the name of the table as it currently exists in the database (which is the
+  // old name if the table is being renamed), or `null` if the table does not exist
+  _getExistingTableName(db, oldName, cb) {
+    db.query(formatShowTableSQL(this.name, this._pool), (err, result) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+
+      if (result.length || oldName === null) {
+        cb(null, result.length ? this.name : null);
+        return;
+      }
+
+      db.query(formatShowTableSQL(oldName, this._pool), (err, oldResult) => {
+        if (err) {
+          cb(err);
+        } else {
+          cb(null, oldResult.length ? oldName : null);
+        }
+      });
+    });
+  }
+
+  _getRenameTableOperations(existingName) {
+    if (existingName === this.name) {
+      return [];
+    }
+
+    return [
+      Operation.create(
+        Operation.Types.RENAME_TABLE,
+        'RENAME TABLE ' + escapeId(existingName) + ' TO ' + this._escapedName
+      ),
+    ];
+  }
+
+  // Adds operations to drop and re-add foreign keys in other tables that reference columns being modified
+  // by this table's ALTER TABLE operation, since MySQL will not allow those columns to be modified otherwise
+  // (`existingName` is the table's current name, which the foreign keys reference until the table is renamed)
+  _addInboundForeignKeysOperations(db, operations, existingName, cb) {
+    const alterOperation = operations.find(operation => operation.type === Operation.Types.ALTER_TABLE);
+
+    if (alterOperation === undefined || alterOperation.columns.length === 0) {
+      cb(null, operations);
+      return;
+    }
+
+    const pool = this._pool;
+
+    db.query(
+      'SELECT DISTINCT `TABLE_NAME`, `CONSTRAINT_NAME` FROM `information_schema`.`KEY_COLUMN_USAGE` ' +
+      'WHERE `REFERENCED_TABLE_SCHEMA` = DATABASE() AND `REFERENCED_TABLE_NAME` = ' + pool.escape(existingName) +
+      ' AND `REFERENCED_COLUMN_NAME` IN (' + pool.escape(alterOperation.columns) + ')',
+      (err, rows) => {
+        if (err) {
+          cb(err);
+          return;
+        }
+
+        var tablesRemaining = 0;
+        var error = null;
+        const keyNamesByTable = new Map();
+
+        for (const row of rows) {
+          if (keyNamesByTable.has(row.TABLE_NAME)) {
+            keyNamesByTable.get(row.TABLE_NAME).push(row.CONSTRAINT_NAME);
+          } else {
+            keyNamesByTable.set(row.TABLE_NAME, [row.CONSTRAINT_NAME]);
+            tablesRemaining++;
+          }
+        }
+
+        if (tablesRemaining === 0) {
+          cb(null, operations);
+          return;
+        }
+
+        const addOperations = (tableName, err, referencingSchema) => {
+          if (err) {
+            error = error || err;
+          } else {
+            for (const keyName of keyNamesByTable.get(tableName)) {
+              const foreignKey = referencingSchema.foreignKeys[keyName];
+              foreignKey.$setReferenceTable(this.name); // MySQL updates the reference when the table is renamed
+              operations.push(...getInboundForeignKeyOperations(tableName, foreignKey));
+            }
+          }
+
+          if (--tablesRemaining > 0) {
+            return;
+          }
+
+          if (error) {
+            cb(error);
+          } else {
+            cb(null, operations);
+          }
+        };
+
+        for (const tableName of keyNamesByTable.keys()) {
+          getSchema(db, pool.escapeId(tableName), addOperations.bind(null, tableName));
+        }
+      }
+    );
+  }
+
+  // Returns a definition for the old schema that can generate operations to undo the migration to this definition
+  _getReverseDefinition(existingName, oldSchema) {
+    const reverseDefinition = Object.create(TableDefinition.prototype);
+    const reverseSchema = Object.assign({}, oldSchema);
+
+    // Only undo changes to table options that are defined in this table's schema
+    for (const option of TABLE_OPTIONS) {
+      if (this._schema[option] === undefined) {
+        delete reverseSchema[option];
+      }
+    }
+
+    // Rename renamed columns back to their old names instead of dropping them and adding them back
+    reverseSchema.columns = Object.assign({}, oldSchema.columns);
+    for (const columnName in this._schema.columns) {
+      const oldColumnName = this._schema.columns[columnName].$oldName;
+      if (oldColumnName && oldColumnName !== columnName && reverseSchema.columns[oldColumnName]) {
+        const oldColumnDefinition = reverseSchema.columns[oldColumnName];
+        reverseSchema.columns[oldColumnName] = Object.assign(
+          Object.create(Object.getPrototypeOf(oldColumnDefinition)),
+          oldColumnDefinition
+        ).oldName(columnName);
+      }
+    }
+
+    reverseDefinition.name = existingName;
+    reverseDefinition._escapedName = escapeId(existingName);
+    reverseDefinition._schema = reverseSchema;
+    reverseDefinition._pool = this._pool;
+    reverseDefinition._migrationStrategy = 'alter';
+
+    return reverseDefinition;
+  }
+
   _getCreateTableOperations() {
     const operations = [];
 
@@ -85,17 +303,22 @@ class TableDefinition {
     const alterOperations = this._getMigrateColumnsOperations(oldSchema).concat(
       this._getMigratePrimaryKeyOperations(oldSchema),
       this._getMigrateIndexKeysOperations(oldSchema),
+      this._getMigrateChecksOperations(oldSchema),
       this._getMigrateTableOptionsOperations(oldSchema)
     );
     const operations = this._getMigrateForeignKeysOperations(oldSchema, alterOperations);
 
     if (alterOperations.length) {
       const spacer = '\n  ';
+      const modifiedColumns = alterOperations
+        .filter(op => op.type === Operation.Types.MODIFY_COLUMN)
+        .map(op => op.columns[0]);
 
       alterOperations.sort(Operation.sorter);
       operations.push(Operation.create(
         Operation.Types.ALTER_TABLE,
-        'ALTER TABLE ' + this._escapedName + spacer + alterOperations.map(op => op.sql).join(',' + spacer)
+        'ALTER TABLE ' + this._escapedName + spacer + alterOperations.map(op => op.sql).join(',' + spacer),
+        modifiedColumns
       ));
     }
 
@@ -205,6 +428,32 @@ class TableDefinition {
     return operations;
   }
 
+  _getMigrateChecksOperations(oldSchema) {
+    const operations = [];
+    const oldChecks = oldSchema.checks;
+    const newChecks = this._schema.checks;
+
+    for (const checkName in oldChecks) { // Remove old/changed checks
+      if (newChecks[checkName] === undefined || !oldChecks[checkName].$equals(newChecks[checkName])) {
+        operations.push(Operation.create(
+          Operation.Types.DROP_CHECK,
+          'DROP CHECK ' + this._pool.escapeId(checkName)
+        ));
+      }
+    }
+
+    for (const checkName in newChecks) { // Add new/changed checks
+      if (oldChecks[checkName] === undefined || !newChecks[checkName].$equals(oldChecks[checkName])) {
+        operations.push(Operation.create(
+          Operation.Types.ADD_CHECK,
+          'ADD ' + newChecks[checkName].$toSQL()
+        ));
+      }
+    }
+
+    return operations;
+  }
+
   _getMigrateForeignKeysOperations(oldSchema, otherOperations) {
     const operations = [];
     const oldKeys = oldSchema.foreignKeys;
@@ -333,6 +582,10 @@ class TableDefinition {
       sql += schema.indexKeys[keyName].$toSQL() + separator;
     }
 
+    for (const checkName in schema.checks) {
+      sql += schema.checks[checkName].$toSQL() + separator;
+    }
+
     // Foreign keys are handled separately because they should not be
     // in the initial CREATE TABLE statement in case the tables being
     // referenced haven't been created yet.
@@ -375,6 +628,7 @@ function createInternalSchema(schema, tableName) {
   const {columns, keys} = schema;
   const indexKeys = {};
   const foreignKeys = {};
+  const checks = {};
 
   if (keys) {
     for (let i = 0; i < keys.length; i++) {
@@ -383,6 +637,8 @@ function createInternalSchema(schema, tableName) {
       if (key instanceof ForeignKeyDefinition) {
         key.$setTableName(tableName);
         foreignKeys[key.$name] = key;
+      } else if (key instanceof CheckConstraintDefinition) {
+        checks[key.$name] = key;
       } else {
         indexKeys[key.$name] = key;
       }
@@ -432,7 +688,45 @@ function createInternalSchema(schema, tableName) {
     primaryKey = new PrimaryKeyDefinition([columnPK]);
   }
 
-  return Object.assign({}, schema, {primaryKey, indexKeys, foreignKeys});
+  return Object.assign({}, schema, {primaryKey, indexKeys, foreignKeys, checks});
+}
+
+// Formats a query that only shows the table with exactly the given name (the
+// `%` and `_` characters are escaped so they are not used as LIKE wildcards)
+function formatShowTableSQL(tableName, pool) {
+  return 'SHOW TABLES LIKE ' + pool.escape(tableName.replace(/[\\%_]/g, '\\$&'));
+}
+
+function getSchema(db, escapedTableName, cb) {
+  db.query('SHOW CREATE TABLE ' + escapedTableName, (err, rows) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    cb(null, sqlToSchema(rows[0]['Create Table']));
+  });
+}
+
+function getInboundForeignKeyOperations(tableName, foreignKey) {
+  const escapedTableName = escapeId(tableName);
+  const dropSQL = 'ALTER TABLE ' + escapedTableName + ' DROP FOREIGN KEY ' + escapeId(foreignKey.$name);
+  const addSQL = 'ALTER TABLE ' + escapedTableName + ' ADD ' + foreignKey.$toSQL();
+  const operations = [
+    Operation.create(Operation.Types.DROP_FOREIGN_KEY, dropSQL),
+    Operation.create(Operation.Types.ADD_FOREIGN_KEY, addSQL),
+  ];
+
+  for (const operation of operations) {
+    operation.table = tableName;
+    // Used to avoid duplicating operations generated by the referencing table's own definition
+    operation.inboundKey = dropSQL;
+  }
+
+  return operations;
+}
+
+function getReferencedTableNames(schema) {
+  return Object.keys(schema.foreignKeys).map(keyName => schema.foreignKeys[keyName].$referenceTable);
 }
 
 function isPrimaryKeyEqual(newKey, oldKey) {
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * The error that {@link MySQLTable|`MySQLTable`} insert and update methods fail with when the
+ * data does not match the table's column definitions (if the table's schema has the `validate`
+ * option set to `true`). Available as `mysql.ValidationError`.
+ *
+ * @extends Error
+ * @see [Validation](#validation)
+ */
+class ValidationError extends Error {
+  constructor(tableName, errors) {
+    super(
+      `Invalid data for the "${tableName}" table: ` +
+      errors.map(error => `"${error.column}" ${error.message}`).join('; ')
+    );
+
+    this.name = 'ValidationError';
+    /**
+     * The name of the table the data was for.
+     * @constant {string}
+     */
+    this.table = tableName;
+    /**
+     * An object for each invalid column with the column's name (`column`) and a
+     * description of the problem (`message`). For bulk inserts, each object also
+     * has the index of the row with the invalid value (`row`).
+     * @constant {Object[]}
+     */
+    this.errors = errors;
+  }
+}
+
+module.exports = ValidationError;
@@ -1,5 +1,6 @@
 'use strict';
 
+const CheckConstraintDefinition = require('./KeyDefinitions/CheckConstraintDefinition');
 const ColumnDefinitions = require('./ColumnDefinitions');
 const ForeignKeyDefinition = require('./KeyDefinitions/ForeignKeyDefinition');
 const KeyDefinitions = require('./KeyDefinitions');
@@ -26,10 +27,13 @@ function sqlToSchema(sql) {
 
   const indexKeys = {};
   const foreignKeys = {};
+  const checks = {};
 
   for (const key of keys) {
     if (key instanceof ForeignKeyDefinition) {
       foreignKeys[key.$name] = key;
+    } else if (key instanceof CheckConstraintDefinition) {
+      checks[key.$name] = key;
     } else {
       indexKeys[key.$name] = key;
     }
@@ -41,6 +45,7 @@ function sqlToSchema(sql) {
     primaryKey,
     indexKeys,
     foreignKeys,
+    checks,
   };
 
   var match;
@@ -78,16 +83,23 @@ function generateColumnsSchema(createDefinitions) {
   const rgxDefault = / DEFAULT (?:'((?:''|[^'])*?)'(?!')|(\S+))/;
   const rgxCharset = / CHARACTER SET (\w+)/;
   const rgxCollate = / COLLATE (\w+)/;
+  const rgxGenerated = / GENERATED ALWAYS AS \((.*)\) (VIRTUAL|STORED)/;
   // Support MariaDB. See: https://github.com/nwoltman/node-mysql-plus/issues/4
-  const rgxOnUpdateCurTimestamp = / ON UPDATE (?:CURRENT_TIMESTAMP\b|current_timestamp\(\))/;
+  const rgxOnUpdateCurTimestamp = / ON UPDATE (?:CURRENT_TIMESTAMP\b|current_timestamp\(\d*\))/;
 
   for (var i = 0; i < createDefinitions.length; i++) {
-    const definitionSQL = createDefinitions[i].trim();
+    let definitionSQL = createDefinitions[i].trim();
 
     if (definitionSQL[0] !== '`') {
       break;
     }
 
+    // Remove the generated column expression so that it can't be mistaken for other column attributes
+    const generatedMatch = rgxGenerated.exec(definitionSQL);
+    if (generatedMatch !== null) {
+      definitionSQL = definitionSQL.replace(generatedMatch[0], '');
+    }
+
     const nameAndType = rgxNameAndType.exec(definitionSQL);
     const name = nameAndType[1];
     const type = nameAndType[2];
@@ -132,9 +144,10 @@ function generateColumnsSchema(createDefinitions) {
     if (match = rgxDefault.exec(definitionSQL)) {
       if (match[2]) {
         let rawDefault = match[2];
-        if (rawDefault === 'current_timestamp()') {
+        const curTimestampMatch = /^current_timestamp\((\d*)\)$/.exec(rawDefault);
+        if (curTimestampMatch !== null) {
           // Support MariaDB. See: https://github.com/nwoltman/node-mysql-plus/issues/4
-          rawDefault = 'CURRENT_TIMESTAMP';
+          rawDefault = 'CURRENT_TIMESTAMP' + (curTimestampMatch[1] ? '(' + curTimestampMatch[1] + ')' : '');
         }
         columnDefintion.$defaultRaw(rawDefault);
       } else {
@@ -150,6 +163,10 @@ function generateColumnsSchema(createDefinitions) {
       columnDefintion.collate(match[1]);
     }
 
+    if (generatedMatch !== null) {
+      columnDefintion.generatedAs(generatedMatch[1], generatedMatch[2]);
+    }
+
     columns[name] = columnDefintion;
   }
 
@@ -171,6 +188,7 @@ const rgxUniqueKey = /^\s*UNIQUE KEY `(\w+)` \((.*)\)/;
 const rgxIndexKey = /^\s*KEY `(\w+)` \((.*)\)/;
 const rgxSpatialKey = /^\s*SPATIAL KEY `(\w+)` \((.*)\)/;
 const rgxFulltextKey = /^\s*FULLTEXT KEY `(\w+)` \((.*)\)/;
+const rgxCheck = /^\s*CONSTRAINT `(\w+)` CHECK \((.*)\)(?: \/\*!\d+ NOT ENFORCED \*\/)?\s*$/;
 const rgxForeignKey =
   /\s*CONSTRAINT `(\w+)` FOREIGN KEY \(`(.*?)`\) REFERENCES `(\w+)` \(`(.*?)`\)(?: ON DELETE (RESTRICT|CASCADE|SET NULL|NO ACTION))?(?: ON UPDATE (RESTRICT|CASCADE|SET NULL|NO ACTION))?/;
 
@@ -209,6 +227,10 @@ function generateKeySchema(keySQL) {
     return foreignKey;
   }
 
+  if ((keyMatch = rgxCheck.exec(keySQL)) !== null) {
+    return KeyDefinitions.check(keyMatch[1], keyMatch[2]);
+  }
+
   return null; // Unknown key type
 }
 
@@ -0,0 +1,74 @@
+'use strict';
+
+// Matches quoted strings and identifiers, comments, and single characters
+const rgxTokens = /'(?:''|\\.|[^'\\])*'|"(?:""|\\.|[^"\\])*"|`(?:``|[^`])*`|\/\*[\s\S]*?\*\/|(?:--\s|#)[^\n]*|[\s\S]/g;
+const rgxWhere = /\bWHERE\b/i;
+const rgxJoin = /\bJOIN\b/i;
+const rgxClauseAfterWhere =
+  /\b(?:GROUP\s+BY|HAVING|WINDOW|ORDER\s+BY|LIMIT|FOR\s+UPDATE|FOR\s+SHARE|LOCK\s+IN\s+SHARE\s+MODE)\b/i;
+
+/**
+ * Adds a condition to the `WHERE` clause of the part of a query that comes after the table name
+ * (such as the `sqlString` argument of the `MySQLTable` methods). If there is no `WHERE` clause,
+ * one is added before any clauses that must come after it.
+ *
+ * Only keywords at the top level of the SQL are considered, so keywords in strings,
+ * quoted identifiers, comments, and parentheses (such as subqueries) are ignored.
+ *
+ * @private
+ * @param {string} sql - The SQL to add the condition to.
+ * @param {string} condition - The SQL condition.
+ * @returns {string} The SQL with the added condition.
+ *
+ * @example
+ * addWhereCondition('WHERE `a` = 1 OR `b` = 2 LIMIT 1', '`c` IS NULL');
+ * // -> 'WHERE (`a` = 1 OR `b` = 2) AND `c` IS NULL LIMIT 1'
+ */
+function addWhereCondition(sql, condition) {
+  const topLevelSQL = maskNestedSQL(sql);
+  const whereMatch = rgxWhere.exec(topLevelSQL);
+  const searchStart = whereMatch === null ? 0 : whereMatch.index + whereMatch[0].length;
+  const clauseMatch = rgxClauseAfterWhere.exec(topLevelSQL.slice(searchStart));
+  const end = clauseMatch === null ? sql.length : searchStart + clauseMatch.index;
+  const rest = end < sql.length ? ' ' + sql.slice(end) : '';
+
+  if (whereMatch === null) {
+    const start = sql.slice(0, end).trim();
+    return (start === '' ? '' : start + ' ') + 'WHERE ' + condition + rest;
+  }
+
+  return sql.slice(0, whereMatch.index) +
+    'WHERE (' + sql.slice(searchStart, end).trim() + ') AND ' + condition + rest;
+}
+
+/**
+ * Checks if the part of a query that comes after the table name joins other tables (ignoring
+ * `JOIN` keywords in strings, quoted identifiers, comments, and parentheses).
+ *
+ * @private
+ * @param {string} sql - The SQL to check.
+ * @returns {boolean} `true` if the SQL has a `JOIN` clause.
+ */
+function hasJoinClause(sql) {
+  return rgxJoin.test(maskNestedSQL(sql));
+}
+
+// Replaces everything that is not at the top level of the SQL with spaces (keeping the SQL's length)
+function maskNestedSQL(sql) {
+  var depth = 0;
+
+  return sql.replace(rgxTokens, (token) => {
+    if (token.length > 1) { // A quoted string, quoted identifier, or comment
+      return ' '.repeat(token.length);
+    }
+    if (token === '(') {
+      depth++;
+    } else if (token === ')') {
+      depth--;
+      return ' ';
+    }
+    return depth > 0 ? ' ' : token;
+  });
+}
+
+module.exports = {addWhereCondition, hasJoinClause};
@@ -0,0 +1,95 @@
+'use strict';
+
+const OPERATORS = {
+  $eq: '=',
+  $ne: '<>',
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $in: 'IN',
+  $nin: 'NOT IN',
+  $like: 'LIKE',
+  $notLike: 'NOT LIKE',
+};
+
+/**
+ * Formats a comparison between a column and a value, using `IS NULL`/`IS NOT NULL`
+ * for `null` values and a constant for `IN`/`NOT IN` comparisons with an empty list
+ * (since `IN ()` is a syntax error).
+ *
+ * @private
+ * @param {string} column - The name of the column.
+ * @param {string} operator - An uppercase SQL comparison operator.
+ * @param {*} value - The value to compare the column to.
+ * @param {PoolPlus|Connection} db - Used to escape the column and value.
+ * @returns {string} The comparison SQL.
+ */
+function formatComparison(column, operator, value, db) {
+  if (value === null || value === undefined) {
+    if (operator === '=') {
+      return db.escapeId(column) + ' IS NULL';
+    }
+    if (operator === '<>' || operator === '!=') {
+      return db.escapeId(column) + ' IS NOT NULL';
+    }
+  }
+
+  if (operator === 'IN' || operator === 'NOT IN') {
+    if (!Array.isArray(value)) {
+      throw new TypeError(`The value for an ${operator} comparison must be an array`);
+    }
+    if (value.length === 0) {
+      return operator === 'IN' ? 'FALSE' : 'TRUE';
+    }
+    return db.escapeId(column) + ' ' + operator + ' (' + db.escape(value) + ')';
+  }
+
+  return db.escapeId(column) + ' ' + operator + ' ' + db.escape(value);
+}
+
+/**
+ * Formats an object of conditions as a list of SQL comparisons that must all be true.
+ *
+ * + `{col: value}` becomes `` `col` = value ``
+ * + `{col: null}` becomes `` `col` IS NULL ``
+ * + `{col: [a, b]}` becomes `` `col` IN (a, b) ``
+ * + `{col: {$gte: a, $lt: b}}` becomes `` `col` >= a `` and `` `col` < b ``
+ *
+ * @private
+ * @param {Object} conditions - An object mapping column names to values or operator objects.
+ * @param {PoolPlus|Connection} db - Used to escape the columns and values.
+ * @returns {string[]} The SQL comparisons.
+ */
+function formatConditions(conditions, db) {
+  const comparisons = [];
+
+  for (const column in conditions) {
+    const value = conditions[column];
+
+    if (Array.isArray(value)) {
+      comparisons.push(formatComparison(column, 'IN', value, db));
+    } else if (isOperatorObject(value)) {
+      for (const key in value) {
+        if (!OPERATORS.hasOwnProperty(key)) {
+          throw new TypeError(`Unknown condition operator: ${key}`);
+        }
+        comparisons.push(formatComparison(column, OPERATORS[key], value[key], db));
+      }
+    } else {
+      comparisons.push(formatComparison(column, '=', value, db));
+    }
+  }
+
+  return comparisons;
+}
+
+// Plain objects are operator objects, but Dates, Buffers, and raw values (from `mysql.raw()`) are values
+function isOperatorObject(value) {
+  return typeof value === 'object' &&
+    value !== null &&
+    Object.getPrototypeOf(value) === Object.prototype &&
+    typeof value.toSqlString !== 'function';
+}
+
+module.exports = {formatComparison, formatConditions};
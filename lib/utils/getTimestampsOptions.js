@@ -0,0 +1,63 @@
+'use strict';
+
+const DEFAULT_CREATED_COLUMN = 'createdAt';
+const DEFAULT_UPDATED_COLUMN = 'updatedAt';
+const MAX_PRECISION = 6; // The maximum fractional seconds precision of datetime columns
+
+/**
+ * Gets the options for the timestamp columns of a table from the `timestamps` option of its
+ * schema, filling in the default values for any options that were not specified.
+ *
+ * @private
+ * @param {Object} [schema] - The table's schema.
+ * @returns {?{created: ?string, updated: ?string, precision: number, useServerDefaults: boolean}}
+ *     The options, or `null` if the schema does not have the `timestamps` option. The `created`
+ *     or `updated` column name is `null` if that column was disabled.
+ * @throws {TypeError} If the `timestamps` option is invalid.
+ */
+function getTimestampsOptions(schema) {
+  if (schema === undefined || schema.timestamps === undefined || schema.timestamps === false) {
+    return null;
+  }
+
+  const timestamps = schema.timestamps === true ? {} : schema.timestamps;
+  if (typeof timestamps !== 'object' || timestamps === null) {
+    throw new TypeError('The schema\'s timestamps option must be a boolean or an object');
+  }
+
+  const created = getColumnName(timestamps.created, DEFAULT_CREATED_COLUMN, 'created');
+  const updated = getColumnName(timestamps.updated, DEFAULT_UPDATED_COLUMN, 'updated');
+  const precision = timestamps.precision === undefined ? 0 : timestamps.precision;
+
+  if (created === null && updated === null) {
+    throw new TypeError('The schema\'s timestamps option must have at least one column');
+  }
+  if (created === updated) {
+    throw new TypeError('The schema\'s created and updated timestamp columns must be different');
+  }
+  if (!Number.isInteger(precision) || precision < 0 || precision > MAX_PRECISION) {
+    throw new TypeError(`The schema's timestamps precision must be an integer from 0 to ${MAX_PRECISION}`);
+  }
+
+  return {
+    created,
+    updated,
+    precision,
+    useServerDefaults: timestamps.useServerDefaults !== false,
+  };
+}
+
+function getColumnName(value, defaultName, optionName) {
+  if (value === undefined || value === true) {
+    return defaultName;
+  }
+  if (value === false) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new TypeError(`The schema's timestamps.${optionName} option must be a column name or a boolean`);
+  }
+  return value;
+}
+
+module.exports = getTimestampsOptions;
@@ -0,0 +1,218 @@
+'use strict';
+
+// Matches string literals, quoted identifiers, words (identifiers, keywords, and numbers), operators, and
+// other single characters (whitespace is skipped)
+const rgxTokens =
+  /'(?:''|\\.|[^'\\])*'|"(?:""|\\.|[^"\\])*"|`(?:``|[^`])*`|[\w$.]+|<=>|->>|->|<<|>>|<=|>=|<>|!=|&&|\|\||\S/g;
+
+// Operators from lowest to highest precedence (unary operators are prefixed with "unary ")
+const OPERATORS = [
+  ['or', '||'],
+  ['xor'],
+  ['and', '&&'],
+  ['unary not'],
+  ['between'],
+  ['=', '<=>', '>=', '>', '<=', '<', '<>', 'is', 'like', 'regexp', 'rlike', 'in', 'member', 'sounds'],
+  ['|'],
+  ['&'],
+  ['<<', '>>'],
+  ['-', '+'],
+  ['*', '/', 'div', '%', 'mod'],
+  ['^'],
+  ['unary -', 'unary +', 'unary ~'],
+  ['unary !'],
+  ['collate', 'unary binary'],
+  ['->', '->>'],
+];
+const PRECEDENCES = new Map();
+OPERATORS.forEach((operators, precedence) => {
+  for (const operator of operators) {
+    PRECEDENCES.set(operator, precedence + 1);
+  }
+});
+
+// The values of backslash escape sequences in strings (other escaped characters are just the character)
+const ESCAPED_CHARS = {
+  0: '\0',
+  b: '\b',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  Z: '\x1a',
+  '%': '\\%', // Kept so that LIKE patterns still match a literal % or _
+  _: '\\_',
+};
+
+// Keywords that separate the parts of a CASE expression (they act like commas)
+const CASE_KEYWORDS = ['case', 'when', 'then', 'else', 'end'];
+
+/**
+ * Formats an SQL expression so that it can be compared with the version of the expression that
+ * MySQL returns in `SHOW CREATE TABLE` (which may have extra parentheses, backticks, or
+ * character set introducers and may use different letter cases or whitespace).
+ *
+ * String literals are rewritten in the form MySQL uses (single quotes with quotes inside the string
+ * doubled), so `"it's"`, `'it\'s'`, and `'it''s'` are all the same.
+ *
+ * Only parentheses that do not change the meaning of the expression (based on MySQL's operator
+ * precedence) are removed, so `(a OR b) AND c` and `a OR (b AND c)` stay different.
+ *
+ * @private
+ * @param {string} expression - An SQL expression.
+ * @returns {string} The normalized expression.
+ */
+function normalizeExpression(expression) {
+  const tokens = tokenize(expression);
+
+  for (var group = findRedundantParentheses(tokens); group !== null; group = findRedundantParentheses(tokens)) {
+    tokens.splice(group.close, 1);
+    tokens.splice(group.open, 1);
+  }
+
+  return tokens.join(' ');
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  var lastTokenEnd = -1;
+  var match;
+
+  rgxTokens.lastIndex = 0;
+  while ((match = rgxTokens.exec(expression)) !== null) {
+    const token = match[0];
+
+    if (token[0] === "'" || token[0] === '"') {
+      // Remove a character set introducer before a string
+      if (lastTokenEnd === match.index && /^_\w+$/.test(tokens[tokens.length - 1])) {
+        tokens.pop();
+      }
+      tokens.push(normalizeString(token));
+    } else if (token[0] === '`') {
+      tokens.push(token.slice(1, -1).replace(/``/g, '`').toLowerCase());
+    } else {
+      tokens.push(token === '!=' ? '<>' : token.toLowerCase());
+    }
+
+    lastTokenEnd = match.index + token.length;
+  }
+
+  return tokens;
+}
+
+// Decodes a single- or double-quoted string literal and re-encodes it with single quotes
+function normalizeString(literal) {
+  const quote = literal[0];
+  const value = literal.slice(1, -1).replace(/\\([\s\S])|''|""/g, (match, escapedChar) => {
+    if (escapedChar === undefined) {
+      return match[0] === quote ? quote : match;
+    }
+    return ESCAPED_CHARS.hasOwnProperty(escapedChar) ? ESCAPED_CHARS[escapedChar] : escapedChar;
+  });
+
+  return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "''") + "'";
+}
+
+// Finds the first pair of parentheses that can be removed without changing the meaning of the expression
+function findRedundantParentheses(tokens) {
+  const precedences = getPrecedences(tokens);
+  const openIndexes = [];
+
+  for (var i = 0; i < tokens.length; i++) {
+    if (tokens[i] === '(') {
+      openIndexes.push(i);
+    } else if (tokens[i] === ')' && openIndexes.length > 0) {
+      const open = openIndexes.pop();
+      if (isRedundantGroup(tokens, precedences, open, i)) {
+        return {open, close: i};
+      }
+    }
+  }
+
+  return null;
+}
+
+function isRedundantGroup(tokens, precedences, open, close) {
+  const before = tokens[open - 1];
+  if (before !== undefined && isOperandToken(before) || before === 'in') {
+    return false; // The parentheses belong to a function call or a list of values
+  }
+
+  var innerPrecedence = Infinity;
+  var depth = 0;
+
+  for (var i = open + 1; i < close; i++) {
+    const token = tokens[i];
+    if (token === '(' || token === 'case') {
+      depth++;
+    } else if (token === ')' || token === 'end') {
+      depth--;
+    } else if (depth === 0) {
+      if (token === ',') {
+        return false; // A row constructor
+      }
+      if (precedences[i] !== undefined) {
+        innerPrecedence = Math.min(innerPrecedence, precedences[i]);
+      }
+    }
+  }
+
+  const leftPrecedence = getNeighborPrecedence(tokens, precedences, open - 1);
+  const rightPrecedence = getNeighborPrecedence(tokens, precedences, close + 1);
+
+  // Operators are left-associative, so the parentheses are also redundant when
+  // the operator after them has the same precedence as the operators inside them
+  return innerPrecedence > leftPrecedence && innerPrecedence >= rightPrecedence;
+}
+
+function getNeighborPrecedence(tokens, precedences, index) {
+  const token = tokens[index];
+  if (token === undefined || token === '(' || token === ')' || token === ',' || CASE_KEYWORDS.indexOf(token) >= 0) {
+    return 0;
+  }
+  return precedences[index] === undefined ? Infinity : precedences[index];
+}
+
+// Returns the precedence of each token that is an operator (the other tokens are `undefined`)
+function getPrecedences(tokens) {
+  const precedences = new Array(tokens.length);
+  const betweenDepths = []; // The depths of BETWEEN operators that are waiting for their AND
+  var depth = 0;
+
+  for (var i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+
+    if (token === '(' || token === 'case') {
+      depth++;
+    } else if (token === ')' || token === 'end') {
+      depth--;
+    } else if (token === 'not' && previous === 'is') {
+      continue; // IS NOT has the same precedence as IS
+    } else if (previous === undefined || previous !== ')' && !isOperandToken(previous)) {
+      precedences[i] = PRECEDENCES.get('unary ' + token);
+    } else if (token === 'and' && betweenDepths[betweenDepths.length - 1] === depth) {
+      betweenDepths.pop();
+      precedences[i] = PRECEDENCES.get('between');
+    } else if (token === 'not') {
+      // Part of an operator such as NOT LIKE or NOT BETWEEN
+      precedences[i] = PRECEDENCES.get(tokens[i + 1]) || PRECEDENCES.get('=');
+    } else if (PRECEDENCES.has(token)) {
+      precedences[i] = PRECEDENCES.get(token);
+      if (token === 'between') {
+        betweenDepths.push(depth);
+      }
+    }
+  }
+
+  return precedences;
+}
+
+// Checks if the token is a value, identifier, or function name (rather than an operator or punctuation)
+function isOperandToken(token) {
+  return /^[\w$.'"]/.test(token) &&
+    !PRECEDENCES.has(token) &&
+    !PRECEDENCES.has('unary ' + token) &&
+    CASE_KEYWORDS.indexOf(token) < 0;
+}
+
+module.exports = normalizeExpression;
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Calls the callback with the result of the promise or, if there is no callback, returns the promise.
+ *
+ * @private
+ * @param {Promise} promise - The promise for the result.
+ * @param {function} [cb] - A Node-style callback.
+ * @returns {?Promise} The promise if the `cb` parameter is omitted.
+ */
+function promiseOrCallback(promise, cb) {
+  if (!cb) {
+    return promise;
+  }
+
+  promise.then(
+    result => process.nextTick(cb, null, result),
+    err => process.nextTick(cb, err)
+  );
+
+  return undefined;
+}
+
+module.exports = promiseOrCallback;
@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Calls `run` with each item, waiting for the promise returned for one item to resolve before calling
+ * `run` with the next item.
+ *
+ * @private
+ * @param {Array} items - The items to run.
+ * @param {function} run - A function that is called with an item and returns a promise.
+ * @returns {Promise} A promise that resolves once every item has been run.
+ */
+function runSequentially(items, run) {
+  return items.reduce((promise, item) => promise.then(() => run(item)), Promise.resolve());
+}
+
+module.exports = runSequentially;
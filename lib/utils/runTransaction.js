@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Runs a transaction handler in a transaction on the connection. The connection is not released.
+ *
+ * @private
+ * @param {Connection} connection - The connection to run the transaction on.
+ * @param {PoolPlus~transactionHandler} trxnHandler - A function that, given the connection,
+ *     will make queries and then end the transaction.
+ * @returns {Promise} A promise that is resolved with the results of the transaction or is
+ *     rejected with the error that caused the transaction to fail.
+ */
+function runTransaction(connection, trxnHandler) {
+  return new Promise((resolve, reject) => {
+    function rollback(error) {
+      connection.rollback(() => {
+        reject(error);
+      });
+    }
+
+    function commit(result) {
+      connection.commit((err) => {
+        if (err) {
+          rollback(err);
+        } else {
+          resolve(result);
+        }
+      });
+    }
+
+    function handleDone(err, result) {
+      if (err) {
+        rollback(err);
+      } else {
+        commit(result);
+      }
+    }
+
+    connection.beginTransaction((err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const trxnPromise = trxnHandler(connection, handleDone);
+      if (typeof trxnPromise === 'object' && trxnPromise !== null) {
+        trxnPromise.then(commit, rollback);
+      }
+    });
+  });
+}
+
+module.exports = runTransaction;
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = {
+  up(trxn) {
+    return trxn.pquery('INSERT INTO `migrator_test_table` VALUES (10)');
+  },
+  down(trxn) {
+    return trxn.pquery('DELETE FROM `migrator_test_table` WHERE `id` = 10');
+  },
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = {
+  up(trxn) {
+    return trxn.pquery('CREATE TABLE `migrator_test_table` (`id` int unsigned NOT NULL PRIMARY KEY)');
+  },
+  down(trxn) {
+    return trxn.pquery('DROP TABLE `migrator_test_table`');
+  },
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const MySQLPlus = require('../../lib/MySQLPlus');
+
+const config = require('../config');
+
+const {ColTypes, KeyTypes} = MySQLPlus;
+
+describe('when modifying a column that is referenced by a foreign key in another table', function() {
+
+  const pool = MySQLPlus.createPool(config);
+  const pool2 = MySQLPlus.createPool(config);
+
+  pool.defineTable('modify_referenced_column_parent', {
+    columns: {
+      id: ColTypes.int().unsigned().notNull().primaryKey(),
+    },
+  });
+  pool.defineTable('modify_referenced_column_child', {
+    columns: {
+      parentID: ColTypes.int().unsigned(),
+    },
+    keys: [
+      KeyTypes.foreignKey('parentID').references('modify_referenced_column_parent', 'id').cascade(),
+    ],
+  });
+  pool2.defineTable('modify_referenced_column_parent', {
+    columns: {
+      id: ColTypes.int().unsigned().notNull().primaryKey().autoIncrement(),
+    },
+  });
+
+  before((done) => {
+    pool.sync((err) => {
+      if (err) {
+        throw err;
+      }
+
+      pool.end(done);
+    });
+  });
+
+  after((done) => {
+    pool2.end(done);
+  });
+
+  it('should drop the foreign key before modifying the column and then add it back', (done) => {
+    pool2.sync((err) => {
+      if (err) {
+        throw err;
+      }
+
+      pool2.query('SHOW CREATE TABLE `modify_referenced_column_child`', (err, rows) => {
+        if (err) {
+          throw err;
+        }
+
+        rows[0]['Create Table'].should.equal(
+          'CREATE TABLE `modify_referenced_column_child` (\n' +
+          '  `parentID` int(10) unsigned DEFAULT NULL,\n' +
+          '  KEY `fk_parentID_modify_referenced_column_child` (`parentID`),\n' +
+          '  CONSTRAINT `fk_parentID_modify_referenced_column_child` FOREIGN KEY (`parentID`) ' +
+          'REFERENCES `modify_referenced_column_parent` (`id`) ON DELETE CASCADE ON UPDATE CASCADE\n' +
+          ') ENGINE=InnoDB DEFAULT CHARSET=utf8'
+        );
+        done();
+      });
+    });
+  });
+
+});
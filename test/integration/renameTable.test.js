@@ -0,0 +1,72 @@
+'use strict';
+
+const MySQLPlus = require('../../lib/MySQLPlus');
+
+const config = require('../config');
+
+const {ColTypes, KeyTypes} = MySQLPlus;
+
+describe('when renaming a table', function() {
+
+  const pool = MySQLPlus.createPool(config);
+  const pool2 = MySQLPlus.createPool(config);
+
+  pool.defineTable('rename_table_parent', {
+    columns: {
+      id: ColTypes.int().unsigned().notNull().primaryKey(),
+    },
+  });
+  pool.defineTable('rename_table_old', {
+    columns: {
+      parentID: ColTypes.int().unsigned().index(),
+    },
+    keys: [
+      KeyTypes.foreignKey('parentID').references('rename_table_parent', 'id'),
+    ],
+  });
+  pool2.defineTable('rename_table_new', {
+    oldName: 'rename_table_old',
+    columns: {
+      parentID: ColTypes.int().unsigned().index(),
+    },
+    keys: [
+      KeyTypes.foreignKey('parentID').references('rename_table_parent', 'id'),
+    ],
+  });
+
+  before(() => {
+    return pool.sync()
+      .then(() => pool.pquery('INSERT INTO `rename_table_parent` VALUES (1)'))
+      .then(() => pool.pquery('INSERT INTO `rename_table_old` VALUES (1)'))
+      .then(() => new Promise(resolve => pool.end(resolve)));
+  });
+
+  after((done) => {
+    pool2.end(done);
+  });
+
+  it('should keep the table\'s data and rename its foreign keys', () => {
+    return pool2.sync()
+      .then(() => pool2.pquery('SHOW TABLES LIKE \'rename_table_old\''))
+      .then((rows) => {
+        rows.should.be.empty();
+        return pool2.pquery('SELECT * FROM `rename_table_new`');
+      })
+      .then((rows) => {
+        rows.should.have.length(1);
+        rows[0].parentID.should.equal(1);
+        return pool2.pquery('SHOW CREATE TABLE `rename_table_new`');
+      })
+      .then((rows) => {
+        rows[0]['Create Table'].should.equal(
+          'CREATE TABLE `rename_table_new` (\n' +
+          '  `parentID` int(10) unsigned DEFAULT NULL,\n' +
+          '  KEY `idx_parentID` (`parentID`),\n' +
+          '  CONSTRAINT `fk_parentID_rename_table_new` FOREIGN KEY (`parentID`) ' +
+          'REFERENCES `rename_table_parent` (`id`)\n' +
+          ') ENGINE=InnoDB DEFAULT CHARSET=utf8'
+        );
+      });
+  });
+
+});
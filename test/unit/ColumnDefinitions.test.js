@@ -10,6 +10,23 @@ describe('ColumnDefinitions', () => {
     var a;
     var b;
 
+    a = ColumnDefinitions.int().generatedAs('`a` + 1');
+    b = ColumnDefinitions.int();
+    a.$equals(b).should.be.false();
+    b.$equals(a).should.be.false();
+
+    a = ColumnDefinitions.int().generatedAs('`a` + 1');
+    b = ColumnDefinitions.int().generatedAs('(`a` + 1)', 'VIRTUAL');
+    a.$equals(b).should.be.true();
+
+    a = ColumnDefinitions.int().generatedAs('`a` + 1');
+    b = ColumnDefinitions.int().generatedAs('`a` + 1', 'STORED');
+    a.$equals(b).should.be.false();
+
+    a = ColumnDefinitions.int().generatedAs('`a` + 1');
+    b = ColumnDefinitions.int().generatedAs('`a` + 2');
+    a.$equals(b).should.be.false();
+
     a = ColumnDefinitions.tinyint();
     b = ColumnDefinitions.smallint();
     a.$equals(b).should.be.false();
@@ -471,6 +488,21 @@ describe('ColumnDefinitions', () => {
         .should.equal(ColumnDefinitions.timestamp().$toSQL());
     });
 
+    it('should be able to generate SQL for generated columns', () => {
+      ColumnDefinitions.int().generatedAs('`a` + 1')
+        .$toSQL().should.equal('int GENERATED ALWAYS AS (`a` + 1) VIRTUAL');
+
+      ColumnDefinitions.varchar(255).generatedAs("json_unquote(json_extract(`data`, '$.name'))", 'stored').notNull()
+        .$toSQL().should.equal(
+          "varchar(255) GENERATED ALWAYS AS (json_unquote(json_extract(`data`, '$.name'))) STORED NOT NULL"
+        );
+
+      ColumnDefinitions.int().generatedAs('`a` + 1').default(1)
+        .$toSQL().should.equal('int GENERATED ALWAYS AS (`a` + 1) VIRTUAL');
+
+      should.throws(() => ColumnDefinitions.int().generatedAs('`a` + 1', 'PERSISTENT'), TypeError);
+    });
+
   });
 
 
@@ -547,6 +579,14 @@ describe('ColumnDefinitions', () => {
         .$toSQL().should.equal('timestamp NULL ON UPDATE CURRENT_TIMESTAMP');
     });
 
+    it('should use the column\'s fractional seconds precision for CURRENT_TIMESTAMP', () => {
+      ColumnDefinitions.datetime(3).defaultCurrentTimestamp().onUpdateCurrentTimestamp()
+        .$toSQL().should.equal('datetime(3) ON UPDATE CURRENT_TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3)');
+
+      ColumnDefinitions.timestamp(6).notNull()
+        .$toSQL().should.equal('timestamp(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6)');
+    });
+
   });
 
 
@@ -639,4 +679,113 @@ describe('ColumnDefinitions', () => {
 
   });
 
+
+  describe('type casting', () => {
+
+    function mockField(value) {
+      return {
+        string: () => (value === null || Buffer.isBuffer(value) ? value : String(value)),
+        buffer: () => value,
+      };
+    }
+
+    function next() {
+      return 'next';
+    }
+
+    it('should cast values based on the column type', () => {
+      ColumnDefinitions.bool().$castValue(mockField(1), next).should.be.true();
+      ColumnDefinitions.boolean().$castValue(mockField(0), next).should.be.false();
+      should(ColumnDefinitions.bool().$castValue(mockField(null), next)).be.null();
+
+      ColumnDefinitions.json().$castValue(mockField('{"a":[1,null]}'), next).should.eql({a: [1, null]});
+      should(ColumnDefinitions.json().$castValue(mockField(null), next)).be.null();
+
+      ColumnDefinitions.set('a', 'b').$castValue(mockField('a,b'), next).should.eql(['a', 'b']);
+      ColumnDefinitions.set('a', 'b').$castValue(mockField(''), next).should.eql([]);
+
+      ColumnDefinitions.bit().$castValue(mockField(Buffer.from([1])), next).should.be.true();
+      ColumnDefinitions.bit(16).$castValue(mockField(Buffer.from([1, 2])), next).should.equal(258);
+      ColumnDefinitions.bit(64).$castValue(mockField(Buffer.alloc(8)), next).should.eql(Buffer.alloc(8));
+
+      ColumnDefinitions.decimal(15, 2).$castValue(mockField('123.45'), next).should.equal(123.45);
+      ColumnDefinitions.decimal().$castValue(mockField('12'), next).should.equal(12);
+    });
+
+    it('should leave the default type casting to other columns', () => {
+      ColumnDefinitions.tinyint().$castValue(mockField(1), next).should.equal('next');
+      ColumnDefinitions.decimal(20, 2).$castValue(mockField('1.00'), next).should.equal('next');
+      ColumnDefinitions.enum('a').$castValue(mockField('a'), next).should.equal('next');
+      ColumnDefinitions.datetime().$castValue(mockField('2000-01-01'), next).should.equal('next');
+    });
+
+    it('should serialize values for json and set columns', () => {
+      ColumnDefinitions.json().$serializeValue({a: 1}).should.equal('{"a":1}');
+      ColumnDefinitions.json().$serializeValue('a').should.equal('"a"');
+      should(ColumnDefinitions.json().$serializeValue(null)).be.null();
+
+      const raw = {toSqlString: () => 'JSON_OBJECT()'};
+      ColumnDefinitions.json().$serializeValue(raw).should.equal(raw);
+
+      ColumnDefinitions.set('a', 'b').$serializeValue(['a', 'b']).should.equal('a,b');
+      ColumnDefinitions.set('a', 'b').$serializeValue('a').should.equal('a');
+
+      ColumnDefinitions.bool().$serializeValue(true).should.be.true();
+    });
+
+  });
+
+
+  describe('validation', () => {
+
+    it('should know if a column is required when inserting', () => {
+      ColumnDefinitions.int().notNull().$isRequired().should.be.true();
+      ColumnDefinitions.int().$isRequired().should.be.false();
+      ColumnDefinitions.int().notNull().default(0).$isRequired().should.be.false();
+      ColumnDefinitions.int().notNull().autoIncrement().$isRequired().should.be.false();
+      ColumnDefinitions.int().notNull().generatedAs('1').$isRequired().should.be.false();
+      ColumnDefinitions.timestamp().notNull().$isRequired().should.be.false();
+    });
+
+    it('should not allow NULL in NOT NULL columns', () => {
+      ColumnDefinitions.int().notNull().$validate(null).should.equal('cannot be null');
+      should(ColumnDefinitions.int().$validate(null)).be.null();
+      should(ColumnDefinitions.int().notNull().autoIncrement().$validate(null)).be.null();
+    });
+
+    it('should check the range of integers', () => {
+      should(ColumnDefinitions.tinyint().$validate(-128)).be.null();
+      ColumnDefinitions.tinyint().$validate(128).should.equal('must be between -128 and 127');
+      ColumnDefinitions.tinyint().unsigned().$validate(-1).should.equal('must be between 0 and 255');
+      should(ColumnDefinitions.int().unsigned().$validate(4294967295)).be.null();
+      ColumnDefinitions.int().unsigned().$validate(4294967296).should.equal('must be between 0 and 4294967295');
+      ColumnDefinitions.double().unsigned().$validate(-0.5).should.equal('must not be negative');
+      should(ColumnDefinitions.tinyint().$validate('1000')).be.null();
+      should(ColumnDefinitions.bool().$validate(true)).be.null();
+    });
+
+    it('should check the length of char and varchar values', () => {
+      should(ColumnDefinitions.varchar(3).$validate('abc')).be.null();
+      should(ColumnDefinitions.varchar(3).$validate('ab\ud83d\ude00')).be.null();
+      ColumnDefinitions.varchar(3).$validate('abcd').should.equal('must be at most 3 characters long');
+      ColumnDefinitions.char().$validate('ab').should.equal('must be at most 1 characters long');
+    });
+
+    it('should check enum and set values', () => {
+      should(ColumnDefinitions.enum('a', 'b').$validate('a')).be.null();
+      ColumnDefinitions.enum('a', 'b').$validate('c').should.equal("must be one of 'a', 'b'");
+
+      should(ColumnDefinitions.set('a', 'b').$validate('a,b')).be.null();
+      should(ColumnDefinitions.set('a', 'b').$validate('')).be.null();
+      should(ColumnDefinitions.set('a', 'b').$validate(['b'])).be.null();
+      ColumnDefinitions.set('a', 'b').$validate(['a', 'c', 'd'])
+        .should.equal("has values that are not in the set ('c', 'd')");
+    });
+
+    it('should not check raw values', () => {
+      should(ColumnDefinitions.varchar(1).$validate({toSqlString: () => "'abc'"})).be.null();
+    });
+
+  });
+
 });
@@ -359,4 +359,40 @@ describe('KeyDefinitions', () => {
 
   });
 
+
+  describe('.check()', () => {
+
+    it('should throw if not passed a name and an expression', () => {
+      should.throws(() => KeyDefinitions.check(), TypeError);
+      should.throws(() => KeyDefinitions.check('chk_a'), /must have a name and an expression/);
+    });
+
+    it('should generate SQL for a check constraint', () => {
+      KeyDefinitions.check('chk_a', 'a > 0').$toSQL()
+        .should.equal('CONSTRAINT `chk_a` CHECK (a > 0)');
+
+      KeyDefinitions.check('chk_a', 'a > 0').name('positive_a').$toSQL()
+        .should.equal('CONSTRAINT `positive_a` CHECK (a > 0)');
+    });
+
+    it('should correctly determine if two check constraints are equal', () => {
+      KeyDefinitions.check('chk_a', 'a > 0 AND b IN (\'x\', \'y\')')
+        .$equals(KeyDefinitions.check('chk_a', "((`a` > 0) and (`b` in (_utf8mb4'x',_utf8mb4'y')))"))
+        .should.be.true();
+
+      KeyDefinitions.check('chk_a', 'a > 0')
+        .$equals(KeyDefinitions.check('chk_b', 'a > 0'))
+        .should.be.false();
+
+      KeyDefinitions.check('chk_a', 'a > 0')
+        .$equals(KeyDefinitions.check('chk_a', 'a > 1'))
+        .should.be.false();
+
+      KeyDefinitions.check('chk_a', "b = 'X'")
+        .$equals(KeyDefinitions.check('chk_a', "b = 'x'"))
+        .should.be.false();
+    });
+
+  });
+
 });
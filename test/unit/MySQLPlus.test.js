@@ -3,7 +3,9 @@
 const ColumnDefinitions = require('../../lib/ColumnDefinitions');
 const KeyDefinitions = require('../../lib/KeyDefinitions');
 const MySQLPlus = require('../../lib/MySQLPlus');
+const NotFoundError = require('../../lib/NotFoundError');
 const PoolPlus = require('../../lib/PoolPlus');
+const ValidationError = require('../../lib/ValidationError');
 
 const mysql = require('mysql');
 
@@ -38,6 +40,24 @@ describe('MySQLPlus', () => {
   });
 
 
+  describe('.ValidationError', () => {
+
+    it('should provide the ValidationError class', () => {
+      MySQLPlus.ValidationError.should.equal(ValidationError);
+    });
+
+  });
+
+
+  describe('.NotFoundError', () => {
+
+    it('should provide the NotFoundError class', () => {
+      MySQLPlus.NotFoundError.should.equal(NotFoundError);
+    });
+
+  });
+
+
   describe('.createPool()', () => {
 
     var pool;
@@ -8,6 +8,8 @@ const config = require('../config');
 const should = require('should');
 const sinon = require('sinon');
 
+const {PassThrough} = require('stream');
+
 const expect = should;
 
 should.Assertion.addChain('to');
@@ -205,6 +207,16 @@ describe('MySQLTable', () => {
           });
       });
 
+      it('should be able to select rows using a conditions object', () => {
+        return testTable.select('email', {id: [1, 3], letter: null})
+          .then((rows) => {
+            rows.should.match([
+              {email: 'one@email.com'},
+              {email: 'three@email.com'},
+            ]);
+          });
+      });
+
       it('should be able to select columns using aliases', () => {
         return testTable.select('`id`, `email` AS `eml`', 'WHERE `id` = 1')
           .then((rows) => {
@@ -224,6 +236,244 @@ describe('MySQLTable', () => {
   });
 
 
+  describe('#stream() and #iterate()', () => {
+
+    before((done) => {
+      const insertSQL = 'INSERT INTO `mysql_table_test_table` (`email`) VALUES ' +
+        "('one@email.com'), ('two@email.com'), ('three@email.com')";
+      testTable.query(insertSQL, done);
+    });
+
+    after(resetTable);
+
+    const connections = [];
+
+    function spyOnConnections() {
+      sinon.stub(pool, 'getConnection').callsFake((cb) => {
+        pool.getConnection.wrappedMethod.call(pool, (err, connection) => {
+          if (err) throw err;
+          sinon.spy(connection, 'release');
+          sinon.spy(connection, 'destroy');
+          connections.push(connection);
+          cb(null, connection);
+        });
+      });
+    }
+
+    afterEach(() => {
+      if (pool.getConnection.restore) {
+        pool.getConnection.restore();
+      }
+      for (const connection of connections) {
+        connection.release.restore();
+        connection.destroy.restore();
+      }
+      connections.length = 0;
+    });
+
+    it('should stream the selected rows and release the connection', (done) => {
+      spyOnConnections();
+      const rows = [];
+
+      testTable.stream(['id', 'email'], 'WHERE `id` > ?', [1], {highWaterMark: 1})
+        .on('data', row => rows.push(row))
+        .on('error', done)
+        .on('end', () => {
+          rows.should.match([
+            {id: 2, email: 'two@email.com'},
+            {id: 3, email: 'three@email.com'},
+          ]);
+          setImmediate(() => {
+            connections.should.have.length(1);
+            connections[0].release.should.be.calledOnce();
+            connections[0].destroy.should.not.be.called();
+            done();
+          });
+        });
+    });
+
+    it('should accept a conditions object', (done) => {
+      const rows = [];
+
+      testTable.stream('email', {id: [1, 3]})
+        .on('data', row => rows.push(row))
+        .on('error', done)
+        .on('end', () => {
+          rows.should.match([{email: 'one@email.com'}, {email: 'three@email.com'}]);
+          done();
+        });
+    });
+
+    it('should emit query errors', (done) => {
+      testTable.stream('*', 'WHERE `missing` = 1')
+        .on('error', (err) => {
+          err.code.should.equal('ER_BAD_FIELD_ERROR');
+          done();
+        })
+        .resume();
+    });
+
+    it('should return an async iterator that destroys the connection if iteration stops early', () => {
+      spyOnConnections();
+      const iterator = testTable.iterate('email', 'ORDER BY `id`');
+
+      return iterator.next()
+        .then((result) => {
+          result.should.match({done: false, value: {email: 'one@email.com'}});
+          return iterator.return();
+        })
+        .then(() => new Promise(resolve => setImmediate(resolve)))
+        .then(() => {
+          connections.should.have.length(1);
+          connections[0].destroy.should.be.calledOnce();
+          connections[0].release.should.not.be.called();
+        });
+    });
+
+    it('should use the transaction connection if the table was created by #transacting()', () => {
+      return pool.transaction((trxn) => {
+        const rows = [];
+        const iterator = testTable.transacting(trxn).iterate('id');
+
+        function consume() {
+          return iterator.next().then((result) => {
+            if (result.done) {
+              return rows;
+            }
+            rows.push(result.value);
+            return consume();
+          });
+        }
+
+        return consume();
+      }).then((rows) => {
+        rows.should.have.length(3);
+      });
+    });
+
+    it('should throw if streams cannot be iterated asynchronously', () => {
+      PassThrough.prototype[Symbol.asyncIterator] = undefined; // Hides the Readable.prototype method
+      try {
+        should.throws(() => testTable.iterate('id'), /requires a version of Node\.js that supports async iteration/);
+      } finally {
+        delete PassThrough.prototype[Symbol.asyncIterator];
+      }
+    });
+
+  });
+
+
+  describe('#findOne(), #findById(), and #findByIdOrFail()', () => {
+
+    const {ColTypes, NotFoundError} = MySQLPlus;
+    const pkTable = new MySQLTable('mysql_table_test_table', {
+      columns: {
+        id: ColTypes.bigint().unsigned().notNull().primaryKey().autoIncrement(),
+        email: ColTypes.varchar(255).notNull().unique(),
+        letter: ColTypes.char(1),
+      },
+    }, pool);
+
+    before(() => {
+      return testTable.insert([['email', 'letter'], [
+        ['one@email.com', 'a'],
+        ['two@email.com', 'b'],
+        ['three@email.com', 'b'],
+      ]]);
+    });
+
+    after(resetTable);
+
+    it('should find the first row that matches the conditions', () => {
+      return Promise.all([
+        testTable.findOne({letter: 'b'}),
+        testTable.findOne('WHERE `letter` = ? ORDER BY `id` DESC', ['b']),
+        testTable.findOne({letter: 'z'}),
+      ]).then((rows) => {
+        rows.should.match([
+          {id: 2, email: 'two@email.com', letter: 'b'},
+          {id: 3, email: 'three@email.com', letter: 'b'},
+          null,
+        ]);
+      });
+    });
+
+    it('should find a row by its primary key', (done) => {
+      pkTable.findById(1, (err, row) => {
+        if (err) throw err;
+        row.should.match({id: 1, email: 'one@email.com', letter: 'a'});
+
+        pkTable.findById(4, (err, missingRow) => {
+          if (err) throw err;
+          should(missingRow).be.null();
+          done();
+        });
+      });
+    });
+
+    it('should fail with a NotFoundError if there is no row with the primary key', () => {
+      return pkTable.findByIdOrFail(3)
+        .then((row) => {
+          row.email.should.equal('three@email.com');
+          return pkTable.findByIdOrFail(4);
+        })
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        }, (err) => {
+          err.should.be.an.instanceOf(NotFoundError);
+          err.message.should.equal('No row was found in the "mysql_table_test_table" table with id = 4');
+          err.table.should.equal('mysql_table_test_table');
+          err.key.should.eql({id: 4});
+        });
+    });
+
+    it('should support composite primary keys', () => {
+      const compositeTable = new MySQLTable('mysql_table_composite_test_table', {
+        columns: {
+          accountID: ColTypes.int().unsigned(),
+          userID: ColTypes.int().unsigned(),
+        },
+        primaryKey: ['accountID', 'userID'],
+      }, pool);
+
+      sinon.stub(pool, 'pquery').resolves([]);
+
+      return compositeTable.findById([1, 2])
+        .then(() => compositeTable.findById({userID: 4, accountID: 3}))
+        .then(() => {
+          pool.pquery.should.be.calledTwice();
+          pool.pquery.firstCall.should.be.calledWith(
+            'SELECT * FROM `mysql_table_composite_test_table` WHERE `accountID` = 1 AND `userID` = 2 LIMIT 1'
+          );
+          pool.pquery.secondCall.should.be.calledWith(
+            'SELECT * FROM `mysql_table_composite_test_table` WHERE `accountID` = 3 AND `userID` = 4 LIMIT 1'
+          );
+          pool.pquery.restore();
+
+          return compositeTable.findById(1).should.be.rejectedWith(TypeError);
+        })
+        .then(() => compositeTable.findById([1]).should.be.rejectedWith(/Expected 2 values/))
+        .then(() => compositeTable.findByIdOrFail({accountID: 1}).should.be.rejectedWith(/missing a value/));
+    });
+
+    it('should fail if the table does not have a primary key', (done) => {
+      testTable.findById(1).should.be.rejectedWith(/does not have a primary key/)
+        .then(() => testTable.findByIdOrFail(1).should.be.rejectedWith(/does not have a primary key/))
+        .then(() => {
+          testTable.findById(1, (err) => {
+            err.message.should.match(/does not have a primary key/);
+            testTable.findByIdOrFail(1, (err2) => {
+              err2.message.should.match(/does not have a primary key/);
+              done();
+            });
+          });
+        })
+        .catch(done);
+    });
+
+  });
+
+
   describe('#insert()', () => {
 
     describe('with a callback', () => {
@@ -540,6 +790,240 @@ describe('MySQLTable', () => {
   });
 
 
+  describe('#insertMany()', () => {
+
+    afterEach(resetTable);
+
+    it('should insert the rows in chunks and resolve with the affected rows and the first insert ID of each chunk', () => {
+      const data = [
+        {email: 'one@email.com'},
+        {email: 'two@email.com', letter: 'b'},
+        {email: 'three@email.com'},
+        {email: 'four@email.com', letter: 'd'},
+        {email: 'five@email.com'},
+      ];
+
+      return testTable.insertMany(data, {chunkSize: 2})
+        .then((result) => {
+          result.should.eql({affectedRows: 5, insertIds: [1, 3, 5]});
+          return testTable.select(['id', 'email', 'letter'], 'ORDER BY `id`');
+        })
+        .then((rows) => {
+          rows.should.match([
+            {id: 1, email: 'one@email.com', letter: null},
+            {id: 2, email: 'two@email.com', letter: 'b'},
+            {id: 3, email: 'three@email.com', letter: null},
+            {id: 4, email: 'four@email.com', letter: 'd'},
+            {id: 5, email: 'five@email.com', letter: null},
+          ]);
+        });
+    });
+
+    it('should split chunks so they do not exceed the maximum number of bytes', (done) => {
+      sinon.spy(pool, 'pquery');
+
+      testTable.insertMany([{email: 'a@b.c'}, {email: 'd@e.f'}, {email: 'g@h.i'}], {maxBytes: 80}, (err, result) => {
+        const sqls = pool.pquery.args.map(args => args[0]);
+        pool.pquery.restore();
+        if (err) throw err;
+
+        result.should.eql({affectedRows: 3, insertIds: [1, 3]});
+        sqls.should.eql([
+          "INSERT INTO `mysql_table_test_table` (`email`) VALUES ('a@b.c'), ('d@e.f')",
+          "INSERT INTO `mysql_table_test_table` (`email`) VALUES ('g@h.i')",
+        ]);
+        done();
+      });
+    });
+
+    it('should use the server\'s max_allowed_packet value as the default maximum number of bytes', () => {
+      sinon.spy(pool, 'pquery');
+
+      return testTable.insertMany([{email: 'one@email.com'}])
+        .then((result) => {
+          const sqls = pool.pquery.args.map(args => args[0]);
+          pool.pquery.restore();
+
+          result.should.eql({affectedRows: 1, insertIds: [1]});
+          sqls.should.eql([
+            'SELECT @@max_allowed_packet AS `maxAllowedPacket`',
+            "INSERT INTO `mysql_table_test_table` (`email`) VALUES ('one@email.com')",
+          ]);
+        });
+    });
+
+    it('should resolve immediately if there are no rows to insert', () => {
+      return testTable.insertMany([])
+        .then((result) => {
+          result.should.eql({affectedRows: 0, insertIds: []});
+        });
+    });
+
+    it('should insert all of the chunks in a transaction if the transaction option is true', () => {
+      const data = [{email: 'one@email.com'}, {email: 'two@email.com'}, {email: 'one@email.com'}];
+
+      return testTable.insertMany(data, {chunkSize: 2, transaction: true})
+        .then(() => {
+          throw new Error('Should have failed');
+        }, (err) => {
+          err.code.should.equal('ER_DUP_ENTRY');
+          return testTable.select('*');
+        })
+        .then((rows) => {
+          rows.should.be.empty();
+        });
+    });
+
+    it('should fail if given invalid options', (done) => {
+      testTable.insertMany([{email: 'a@b.c'}], {chunkSize: 0}).should.be.rejectedWith(TypeError)
+        .then(() => testTable.insertMany([{email: 'a@b.c'}], {maxBytes: '1000'}).should.be.rejectedWith(TypeError))
+        .then(() => {
+          testTable.insertMany([{email: 'a@b.c'}], {chunkSize: 1.5}, (err) => {
+            err.should.be.an.instanceOf(TypeError);
+            err.message.should.equal('The chunkSize option must be a positive integer');
+            done();
+          });
+        })
+        .catch(done);
+    });
+
+  });
+
+
+  describe('#upsert()', () => {
+
+    after(resetTable);
+
+    it('should insert new rows and update rows that have a duplicate key', () => {
+      return testTable.upsert({email: 'one@email.com', letter: 'a'}, {conflictKey: 'email'})
+        .then((result) => {
+          result.affectedRows.should.equal(1);
+          return testTable.upsert(
+            [{email: 'one@email.com', letter: 'b'}, {email: 'two@email.com', letter: 'c'}],
+            {conflictKey: 'email'}
+          );
+        })
+        .then((result) => {
+          result.affectedRows.should.equal(3); // 2 for the updated row and 1 for the inserted row
+          return testTable.select(['email', 'letter'], 'ORDER BY `id`');
+        })
+        .then((rows) => {
+          rows.should.match([
+            {email: 'one@email.com', letter: 'b'},
+            {email: 'two@email.com', letter: 'c'},
+          ]);
+        });
+    });
+
+    it('should only update the specified columns', (done) => {
+      testTable.upsert({id: 1, email: 'new@email.com', letter: 'd'}, {update: ['letter']}, (err) => {
+        if (err) throw err;
+        testTable.upsert({id: 2, email: 'two@email.com'}, {update: {letter: 'UPPER(`letter`)'}}, (err) => {
+          if (err) throw err;
+          testTable.select(['email', 'letter'], 'ORDER BY `id`', (err, rows) => {
+            if (err) throw err;
+            rows.should.match([
+              {email: 'one@email.com', letter: 'd'},
+              {email: 'two@email.com', letter: 'C'},
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    describe('the generated SQL', () => {
+
+      const {ColTypes, KeyTypes} = MySQLPlus;
+      const upsertTable = new MySQLTable('mysql_table_upsert_test_table', {
+        columns: {
+          id: ColTypes.int().unsigned().notNull().primaryKey().autoIncrement(),
+          email: ColTypes.varchar(255).notNull().unique(),
+          accountID: ColTypes.int().unsigned().notNull(),
+          name: ColTypes.varchar(255),
+          points: ColTypes.int(),
+        },
+        keys: [
+          KeyTypes.uniqueIndex('accountID', 'name'),
+        ],
+      }, pool);
+
+      beforeEach(() => {
+        sinon.stub(pool, '$getServerVersion');
+        sinon.stub(pool, 'pquery').resolves({affectedRows: 1});
+      });
+
+      afterEach(() => {
+        pool.$getServerVersion.restore();
+        pool.pquery.restore();
+      });
+
+      it('should update the columns that are not in a primary key or unique index using a row alias', () => {
+        pool.$getServerVersion.resolves('8.0.19');
+
+        return upsertTable.upsert([
+          {email: 'one@email.com', accountID: 1, name: 'One', points: 1},
+          {email: 'two@email.com', accountID: 2, points: 2},
+        ]).then(() => {
+          pool.pquery.should.be.calledOnce().and.be.calledWith(
+            'INSERT INTO `mysql_table_upsert_test_table` (`email`, `accountID`, `name`, `points`) ' +
+            "VALUES ('one@email.com', 1, 'One', 1), ('two@email.com', 2, DEFAULT, 2) " +
+            'AS `new` ON DUPLICATE KEY UPDATE `points` = `new`.`points`'
+          );
+        });
+      });
+
+      it('should use the VALUES() function on older servers and MariaDB', () => {
+        pool.$getServerVersion.resolves('8.0.18-log');
+
+        return upsertTable.upsert({email: 'one@email.com', points: 1}, {update: ['email', 'points']})
+          .then(() => {
+            pool.$getServerVersion.resolves('10.5.8-MariaDB');
+            return upsertTable.upsert({email: 'one@email.com', points: 1}, {conflictKey: ['email']});
+          })
+          .then(() => {
+            pool.pquery.should.be.calledTwice();
+            pool.pquery.firstCall.should.be.calledWith(
+              "INSERT INTO `mysql_table_upsert_test_table` (`email`, `points`) VALUES ('one@email.com', 1) " +
+              'ON DUPLICATE KEY UPDATE `email` = VALUES(`email`), `points` = VALUES(`points`)'
+            );
+            pool.pquery.secondCall.should.be.calledWith(
+              "INSERT INTO `mysql_table_upsert_test_table` (`email`, `points`) VALUES ('one@email.com', 1) " +
+              'ON DUPLICATE KEY UPDATE `points` = VALUES(`points`)'
+            );
+          });
+      });
+
+      it('should not change the existing row if there are no columns to update', () => {
+        pool.$getServerVersion.resolves('5.7.30');
+
+        return upsertTable.upsert({email: 'one@email.com'})
+          .then(() => {
+            pool.pquery.should.be.calledOnce().and.be.calledWith(
+              "INSERT INTO `mysql_table_upsert_test_table` (`email`) VALUES ('one@email.com') " +
+              'ON DUPLICATE KEY UPDATE `id` = `id`'
+            );
+          });
+      });
+
+    });
+
+    it('should fail if there are no rows or the update option is invalid', (done) => {
+      testTable.upsert([]).should.be.rejectedWith(TypeError)
+        .then(() => testTable.upsert({email: 'a@b.c'}, {update: 'email'}).should.be.rejectedWith(TypeError))
+        .then(() => {
+          testTable.upsert([], (err) => {
+            err.should.be.an.instanceOf(TypeError);
+            err.message.should.equal('There must be at least one row to upsert');
+            done();
+          });
+        })
+        .catch(done);
+    });
+
+  });
+
+
   describe('#update()', () => {
 
     describe('with a callback', () => {
@@ -684,6 +1168,14 @@ describe('MySQLTable', () => {
           });
       });
 
+      it('should be able to update rows using a conditions object', () => {
+        return testTable.update({letter: 'b'}, {id: [1, 2], letter: '?'})
+          .then((result) => {
+            result.affectedRows.should.equal(2);
+            result.changedRows.should.equal(2);
+          });
+      });
+
     });
 
   });
@@ -754,6 +1246,17 @@ describe('MySQLTable', () => {
           });
       });
 
+      it('should delete rows using a conditions object', () => {
+        return testTable.delete({id: []})
+          .then((result) => {
+            result.affectedRows.should.equal(0);
+            return testTable.delete({id: {$gt: 2}, letter: null});
+          })
+          .then((result) => {
+            result.affectedRows.should.equal(0);
+          });
+      });
+
       it('should delete all rows from the table', () => {
         return testTable.delete()
           .then((result) => {
@@ -851,6 +1354,226 @@ describe('MySQLTable', () => {
         });
       });
 
+      it('should accept a conditions object', () => {
+        return testTable.exists({email: 'one@email.com'})
+          .then((exists) => {
+            exists.should.be.true();
+            return testTable.exists({email: ['two@email.com', 'three@email.com']});
+          })
+          .then((exists) => {
+            exists.should.be.false();
+          });
+      });
+
+    });
+
+  });
+
+
+  describe('aggregate methods', () => {
+
+    before(() => {
+      return testTable.insert([['email', 'letter'], [
+        ['one@email.com', 'a'],
+        ['two@email.com', 'b'],
+        ['three@email.com', 'a'],
+      ]]);
+    });
+
+    after(resetTable);
+
+    describe('#count()', () => {
+
+      it('should count the rows that match the conditions', () => {
+        return Promise.all([
+          testTable.count(),
+          testTable.count({letter: 'a'}),
+          testTable.count('WHERE `id` > ?', [1]),
+        ]).then((counts) => {
+          counts.should.eql([3, 2, 2]);
+        });
+      });
+
+      it('should work with a callback', (done) => {
+        testTable.count({letter: 'z'}, (err, count) => {
+          if (err) throw err;
+          count.should.equal(0);
+          done();
+        });
+      });
+
+    });
+
+    describe('#sum(), #min(), #max(), and #avg()', () => {
+
+      it('should calculate the aggregate value as a number', () => {
+        return Promise.all([
+          testTable.sum('id'),
+          testTable.avg('id'),
+          testTable.min('id', {letter: 'b'}),
+          testTable.max('id', 'WHERE `letter` = ?', ['a']),
+          testTable.min('email'),
+          testTable.max('email'),
+        ]).then((results) => {
+          results.should.eql([6, 2, 2, 3, 'one@email.com', 'two@email.com']);
+        });
+      });
+
+      it('should resolve with null if there are no matching rows', (done) => {
+        testTable.sum('id', {letter: 'z'}, (err, sum) => {
+          if (err) throw err;
+          should(sum).be.null();
+          done();
+        });
+      });
+
+      it('should resolve with a BigInt if an integer result is too large to be a number', () => {
+        return testTable.insert({id: '18446744073709551615', email: 'big@email.com'})
+          .then(() => testTable.sum('id'))
+          .then((sum) => {
+            sum.should.equal(BigInt('18446744073709551621'));
+            return testTable.delete({email: 'big@email.com'});
+          });
+      });
+
+      it('should only convert the numbers that are computed by the query', () => {
+        const next = sinon.stub().returns('next');
+        const createField = (orgTable, type, value) => ({packet: {orgTable}, type, string: () => value});
+
+        sinon.stub(pool, 'pquery').resolves([{result: 0}]);
+
+        return testTable.sum('id')
+          .then(() => {
+            const {typeCast} = pool.pquery.args[0][0];
+            pool.pquery.restore();
+
+            typeCast(createField('', 'NEWDECIMAL', '1.5'), next).should.equal(1.5);
+            typeCast(createField('', 'LONGLONG', '18446744073709551615'), next)
+              .should.equal(BigInt('18446744073709551615'));
+            typeCast(createField('mysql_table_test_table', 'LONGLONG', '1'), next).should.equal('next');
+            typeCast(createField('', 'VAR_STRING', 'a'), next).should.equal('next');
+          });
+      });
+
+    });
+
+    describe('#groupCount()', () => {
+
+      it('should count the rows for each value of the column', () => {
+        return testTable.groupCount('letter')
+          .then((counts) => {
+            counts.should.be.an.instanceOf(Map);
+            counts.size.should.equal(2);
+            counts.get('a').should.equal(2);
+            counts.get('b').should.equal(1);
+          });
+      });
+
+      it('should only count rows that match the conditions', (done) => {
+        testTable.groupCount('letter', {id: {$gt: 1}}, (err, counts) => {
+          if (err) throw err;
+          counts.size.should.equal(2);
+          counts.get('a').should.equal(1);
+          counts.get('b').should.equal(1);
+          done();
+        });
+      });
+
+    });
+
+  });
+
+
+  describe('#paginate()', () => {
+
+    const {ColTypes} = MySQLPlus;
+    const pkTable = new MySQLTable('mysql_table_test_table', {
+      columns: {
+        id: ColTypes.bigint().unsigned().notNull().primaryKey().autoIncrement(),
+        email: ColTypes.varchar(255).notNull().unique(),
+        letter: ColTypes.char(1),
+      },
+    }, pool);
+
+    before(() => {
+      return testTable.insert([['email', 'letter'], [
+        ['one@email.com', 'a'],
+        ['two@email.com', 'b'],
+        ['three@email.com', 'a'],
+        ['four@email.com', 'b'],
+        ['five@email.com', 'a'],
+      ]]);
+    });
+
+    after(resetTable);
+
+    it('should page through the rows using the primary key as a tiebreaker', () => {
+      const options = {orderBy: [['letter', 'desc']], columns: ['id'], limit: 2};
+      const pages = [];
+
+      return pkTable.paginate(options)
+        .then((page) => {
+          pages.push(page);
+          return pkTable.paginate(Object.assign({}, options, {after: page.nextCursor}));
+        })
+        .then((page) => {
+          pages.push(page);
+          return pkTable.paginate(Object.assign({}, options, {after: page.nextCursor}));
+        })
+        .then((page) => {
+          pages.push(page);
+
+          pages.map(p => p.rows).should.match([
+            [{id: 4, letter: 'b'}, {id: 2, letter: 'b'}],
+            [{id: 5, letter: 'a'}, {id: 3, letter: 'a'}],
+            [{id: 1, letter: 'a'}],
+          ]);
+          pages.map(p => p.hasMore).should.eql([true, true, false]);
+          pages[0].nextCursor.should.be.a.String().and.match(/^[\w-]+$/);
+          should(pages[2].nextCursor).be.null();
+        });
+    });
+
+    it('should order by the primary key by default and only select rows that match the where option', (done) => {
+      pkTable.paginate({columns: ['email'], where: {letter: 'a'}, limit: 2}, (err, page) => {
+        if (err) throw err;
+        page.rows.should.match([{email: 'one@email.com', id: 1}, {email: 'three@email.com', id: 3}]);
+        page.hasMore.should.be.true();
+
+        pkTable.paginate({where: "`letter` = 'a'", limit: 2, after: page.nextCursor}, (err, page2) => {
+          if (err) throw err;
+          page2.rows.should.match([{id: 5, email: 'five@email.com', letter: 'a'}]);
+          page2.hasMore.should.be.false();
+          done();
+        });
+      });
+    });
+
+    it('should fail if the cursor is invalid', (done) => {
+      testTable.paginate({orderBy: ['id'], limit: 1, after: 'not a cursor'}, (err) => {
+        err.should.be.an.instanceOf(TypeError);
+        err.message.should.equal('Invalid cursor: not a cursor');
+        done();
+      });
+    });
+
+    it('should fail if given invalid options', (done) => {
+      pkTable.paginate({limit: 0}).should.be.rejectedWith(TypeError)
+        .then(() => pkTable.paginate().should.be.rejectedWith(/limit option/))
+        .then(() => pkTable.paginate({orderBy: [['id', 'sideways']], limit: 1}).should.be.rejectedWith(TypeError))
+        .then(() => testTable.paginate({limit: 1}).should.be.rejectedWith(/orderBy option is required/))
+        .then(() => {
+          pkTable.paginate({limit: 1.5}, (err) => {
+            err.should.be.an.instanceOf(TypeError);
+            err.message.should.equal('The limit option must be a positive integer');
+
+            pkTable.paginate((err2) => {
+              err2.message.should.equal('The limit option must be a positive integer');
+              done();
+            });
+          });
+        })
+        .catch(done);
     });
 
   });
@@ -935,4 +1658,754 @@ describe('MySQLTable', () => {
 
   });
 
+
+  describe('with generated columns', () => {
+
+    const generatedTable = new MySQLTable('mysql_table_generated_test_table', {
+      columns: {
+        a: MySQLPlus.ColTypes.int(),
+        b: MySQLPlus.ColTypes.int().generatedAs('`a` + 1'),
+      },
+    }, pool);
+
+    before((done) => {
+      pool.query(`
+        CREATE TABLE \`mysql_table_generated_test_table\` (
+          \`a\` INT,
+          \`b\` INT GENERATED ALWAYS AS (\`a\` + 1) VIRTUAL
+        )
+      `, done);
+    });
+
+    it('should not try to write to generated columns when inserting or updating data', () => {
+      return generatedTable.insert({a: 1, b: 5})
+        .then(() => generatedTable.insertIfNotExists({a: 2, b: 5}, ['a']))
+        .then(() => generatedTable.update({a: 3, b: 5}, 'WHERE `a` = 2'))
+        .then(() => generatedTable.select('*', 'ORDER BY `a`'))
+        .then((rows) => {
+          rows.should.match([
+            {a: 1, b: 2},
+            {a: 3, b: 4},
+          ]);
+        });
+    });
+
+  });
+
+
+  describe('with soft deletes', () => {
+
+    const softDeleteTable = new MySQLTable('mysql_table_soft_delete_test_table', {
+      columns: {
+        id: MySQLPlus.ColTypes.int().unsigned().notNull().primaryKey(),
+        deletedAt: MySQLPlus.ColTypes.datetime(),
+      },
+      softDelete: 'deletedAt',
+    }, pool);
+
+    before((done) => {
+      pool.query(`
+        CREATE TABLE \`mysql_table_soft_delete_test_table\` (
+          \`id\` INT UNSIGNED NOT NULL PRIMARY KEY,
+          \`deletedAt\` DATETIME
+        )
+      `, (err) => {
+        if (err) throw err;
+        softDeleteTable.insert([['id'], [[1], [2], [3]]], done);
+      });
+    });
+
+    it('should set the soft-delete column instead of deleting rows', () => {
+      return softDeleteTable.delete({id: [1, 2]})
+        .then((result) => {
+          result.affectedRows.should.equal(2);
+          return softDeleteTable.delete('WHERE `id` = 2'); // Already deleted
+        })
+        .then((result) => {
+          result.affectedRows.should.equal(0);
+          return softDeleteTable.withDeleted().select('*', 'ORDER BY `id`');
+        })
+        .then((rows) => {
+          rows.should.have.length(3);
+          rows[0].deletedAt.should.be.an.instanceOf(Date);
+          rows[1].deletedAt.should.be.an.instanceOf(Date);
+          should(rows[2].deletedAt).be.null();
+        });
+    });
+
+    it('should exclude soft-deleted rows from queries', () => {
+      return Promise.all([
+        softDeleteTable.select('id'),
+        softDeleteTable.select('id', {id: {$gt: 0}}),
+        softDeleteTable.exists('WHERE `id` = 1'),
+        softDeleteTable.count(),
+        softDeleteTable.findById(2),
+        softDeleteTable.where('id', '<', 10).orderBy('id').select('id'),
+      ]).then((results) => {
+        results.should.eql([[{id: 3}], [{id: 3}], false, 1, null, [{id: 3}]]);
+      });
+    });
+
+    it('should not update soft-deleted rows', () => {
+      return softDeleteTable.update({id: 4}, 'WHERE `id` = 1')
+        .then((result) => {
+          result.affectedRows.should.equal(0);
+        });
+    });
+
+    it('should only include soft-deleted rows in queries made with #onlyDeleted()', () => {
+      return softDeleteTable.onlyDeleted().select('id', 'ORDER BY `id`')
+        .then((rows) => {
+          rows.should.eql([{id: 1}, {id: 2}]);
+        });
+    });
+
+    it('should restore soft-deleted rows', () => {
+      return softDeleteTable.restore({id: 2})
+        .then((result) => {
+          result.affectedRows.should.equal(1);
+          return softDeleteTable.select('id', 'ORDER BY `id`');
+        })
+        .then((rows) => {
+          rows.should.eql([{id: 2}, {id: 3}]);
+        });
+    });
+
+    it('should remove rows with #forceDelete()', () => {
+      return softDeleteTable.onlyDeleted().forceDelete()
+        .then((result) => {
+          result.affectedRows.should.equal(1); // Only row 1 was soft-deleted
+          return softDeleteTable.forceDelete({id: 2});
+        })
+        .then(() => softDeleteTable.withDeleted().select('id'))
+        .then((rows) => {
+          rows.should.eql([{id: 3}]);
+        });
+    });
+
+    it('should keep the soft-delete scope when creating a table for a transaction', () => {
+      return pool.transaction((trxn) => {
+        return softDeleteTable.onlyDeleted().transacting(trxn).count();
+      }).then((count) => {
+        count.should.equal(0);
+      });
+    });
+
+    it('should generate SQL that filters soft-deleted rows', () => {
+      sinon.stub(pool, 'pquery').resolves([]);
+
+      softDeleteTable.select('*', 'WHERE `id` = 1 OR `id` = 2 LIMIT 1');
+      softDeleteTable.onlyDeleted().update('`id` = `id` + 10');
+      softDeleteTable.restore();
+      softDeleteTable.select('*', 't WHERE t.`id` = 1');
+      softDeleteTable.select('*', 'JOIN `other` ON `other`.`id` = `id`');
+
+      pool.pquery.args.map(args => args[0]).should.eql([
+        'SELECT * FROM `mysql_table_soft_delete_test_table` ' +
+          'WHERE (`id` = 1 OR `id` = 2) AND `deletedAt` IS NULL LIMIT 1',
+        'UPDATE `mysql_table_soft_delete_test_table` SET `id` = `id` + 10 WHERE `deletedAt` IS NOT NULL',
+        'UPDATE `mysql_table_soft_delete_test_table` SET `deletedAt` = NULL WHERE `deletedAt` IS NOT NULL',
+        'SELECT * FROM `mysql_table_soft_delete_test_table` t WHERE (t.`id` = 1) AND `deletedAt` IS NULL',
+        'SELECT * FROM `mysql_table_soft_delete_test_table` JOIN `other` ON `other`.`id` = `id` ' +
+          'WHERE `mysql_table_soft_delete_test_table`.`deletedAt` IS NULL',
+      ]);
+      pool.pquery.restore();
+    });
+
+    it('should fail if the soft-delete methods are used on a table without soft deletes', (done) => {
+      should.throws(() => testTable.withDeleted(), /does not have the softDelete schema option/);
+      should.throws(() => testTable.onlyDeleted(), /does not have the softDelete schema option/);
+
+      testTable.restore().should.be.rejectedWith(/does not have the softDelete schema option/)
+        .then(() => testTable.forceDelete({id: 1}).should.be.rejectedWith(/does not have the softDelete schema option/))
+        .then(() => {
+          testTable.restore({id: 1}, (err) => {
+            err.message.should.match(/does not have the softDelete schema option/);
+            testTable.forceDelete((err2) => {
+              err2.message.should.match(/does not have the softDelete schema option/);
+              done();
+            });
+          });
+        })
+        .catch(done);
+    });
+
+  });
+
+
+  describe('with application-side timestamps', () => {
+
+    const {ColTypes} = MySQLPlus;
+    const timestampsTable = new MySQLTable('mysql_table_timestamps_test_table', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey(),
+        name: ColTypes.varchar(255),
+        createdAt: ColTypes.datetime(3).notNull(),
+        updatedAt: ColTypes.datetime(3).notNull(),
+      },
+      timestamps: {precision: 3, useServerDefaults: false},
+      validate: true,
+    }, pool);
+
+    before((done) => {
+      pool.query(`
+        CREATE TABLE \`mysql_table_timestamps_test_table\` (
+          \`id\` INT UNSIGNED NOT NULL PRIMARY KEY,
+          \`name\` VARCHAR(255),
+          \`createdAt\` DATETIME(3) NOT NULL,
+          \`updatedAt\` DATETIME(3) NOT NULL
+        )
+      `, done);
+    });
+
+    it('should fill in the timestamp columns when inserting rows', () => {
+      return timestampsTable.insert({id: 1, name: 'one'})
+        .then(() => timestampsTable.insert([['id', 'name'], [[2, 'two']]]))
+        .then(() => timestampsTable.insertIfNotExists({id: 3}, ['id']))
+        .then(() => timestampsTable.insertMany([{id: 4}, {id: 5}]))
+        .then(() => timestampsTable.upsert({id: 6}))
+        .then(() => timestampsTable.select('*', 'ORDER BY `id`'))
+        .then((rows) => {
+          rows.map(row => row.id).should.eql([1, 2, 3, 4, 5, 6]);
+          for (const row of rows) {
+            row.createdAt.should.be.an.instanceOf(Date);
+            row.updatedAt.should.eql(row.createdAt);
+          }
+        });
+    });
+
+    it('should not replace timestamp values that are in the data', () => {
+      const createdAt = new Date(Date.UTC(2000, 0, 1));
+
+      return timestampsTable.insert({id: 7, createdAt})
+        .then(() => timestampsTable.findById(7))
+        .then((row) => {
+          row.createdAt.should.eql(createdAt);
+          row.updatedAt.should.not.eql(createdAt);
+        });
+    });
+
+    it('should only set the updated column when updating or upserting rows', () => {
+      const now = new Date(Date.now() + 60000);
+      const clock = sinon.useFakeTimers({now, toFake: ['Date']});
+      sinon.stub(pool, 'pquery').resolves({});
+
+      timestampsTable.update({name: 'updated'}, {id: 1});
+      timestampsTable.insert({id: 8});
+
+      pool.pquery.args.map(args => args[0]).should.eql([
+        'UPDATE `mysql_table_timestamps_test_table` SET `name` = \'updated\', `updatedAt` = ' +
+          pool.escape(now) + ' WHERE `id` = 1',
+        'INSERT INTO `mysql_table_timestamps_test_table` SET `id` = 8, ' +
+          '`createdAt` = ' + pool.escape(now) + ', `updatedAt` = ' + pool.escape(now) + ' ',
+      ]);
+      pool.pquery.restore();
+      clock.restore();
+
+      return timestampsTable.upsert({id: 1, name: 'upserted'})
+        .then(() => timestampsTable.findById(1))
+        .then((row) => {
+          row.name.should.equal('upserted');
+          row.updatedAt.should.be.above(row.createdAt);
+        });
+    });
+
+  });
+
+
+  describe('relations', () => {
+
+    const {ColTypes, KeyTypes} = MySQLPlus;
+    const userTable = new MySQLTable('mysql_table_rel_user_test_table', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey(),
+        name: ColTypes.varchar(255),
+      },
+    }, pool);
+    const postTable = new MySQLTable('mysql_table_rel_post_test_table', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey(),
+        authorID: ColTypes.int().unsigned(),
+      },
+      keys: [
+        KeyTypes.foreignKey('authorID').references('mysql_table_rel_user_test_table', 'id'),
+      ],
+    }, pool);
+    const tagTable = new MySQLTable('mysql_table_rel_tag_test_table', {
+      columns: {
+        name: ColTypes.varchar(255).notNull().primaryKey(),
+      },
+    }, pool);
+    const postTagTable = new MySQLTable('mysql_table_rel_post_tag_test_table', {
+      columns: {
+        postID: ColTypes.int().unsigned().notNull(),
+        tag: ColTypes.varchar(255).notNull(),
+      },
+      primaryKey: ['postID', 'tag'],
+      keys: [
+        KeyTypes.foreignKey('postID').references('mysql_table_rel_post_test_table', 'id'),
+        KeyTypes.foreignKey('tag').references('mysql_table_rel_tag_test_table', 'name'),
+      ],
+    }, pool);
+
+    userTable
+      .hasMany('posts', postTable)
+      .hasOne('firstPost', postTable, {foreignKey: 'authorID', references: 'id'});
+    postTable
+      .belongsTo('author', userTable)
+      .manyToMany('tags', tagTable, {through: postTagTable});
+    tagTable.manyToMany('posts', postTable, {through: postTagTable});
+
+    before(() => {
+      return pool.pquery(`
+        CREATE TABLE \`mysql_table_rel_user_test_table\` (
+          \`id\` INT UNSIGNED NOT NULL PRIMARY KEY,
+          \`name\` VARCHAR(255)
+        )
+      `)
+        .then(() => pool.pquery(`
+          CREATE TABLE \`mysql_table_rel_post_test_table\` (
+            \`id\` INT UNSIGNED NOT NULL PRIMARY KEY,
+            \`authorID\` INT UNSIGNED
+          )
+        `))
+        .then(() => pool.pquery(`
+          CREATE TABLE \`mysql_table_rel_tag_test_table\` (
+            \`name\` VARCHAR(255) NOT NULL PRIMARY KEY
+          )
+        `))
+        .then(() => pool.pquery(`
+          CREATE TABLE \`mysql_table_rel_post_tag_test_table\` (
+            \`postID\` INT UNSIGNED NOT NULL,
+            \`tag\` VARCHAR(255) NOT NULL,
+            PRIMARY KEY (\`postID\`, \`tag\`)
+          )
+        `))
+        .then(() => userTable.insert([[[1, 'one'], [2, 'two'], [3, 'three']]]))
+        .then(() => postTable.insert([[[10, 1], [11, 1], [12, 2], [13, null]]]))
+        .then(() => tagTable.insert([[['a'], ['b']]]))
+        .then(() => postTagTable.insert([[[10, 'a'], [10, 'b'], [12, 'b']]]));
+    });
+
+    it('should load hasMany and hasOne relations', () => {
+      return userTable.with('posts', 'firstPost').orderBy('id').select('*')
+        .then((users) => {
+          users.should.eql([
+            {
+              id: 1,
+              name: 'one',
+              posts: [{id: 10, authorID: 1}, {id: 11, authorID: 1}],
+              firstPost: {id: 10, authorID: 1},
+            },
+            {id: 2, name: 'two', posts: [{id: 12, authorID: 2}], firstPost: {id: 12, authorID: 2}},
+            {id: 3, name: 'three', posts: [], firstPost: null},
+          ]);
+        });
+    });
+
+    it('should load belongsTo relations', () => {
+      return postTable.with('author').orderBy('id').select(['id', 'authorID'])
+        .then((posts) => {
+          posts.map(post => post.author).should.eql([
+            {id: 1, name: 'one'},
+            {id: 1, name: 'one'},
+            {id: 2, name: 'two'},
+            null,
+          ]);
+        });
+    });
+
+    it('should load manyToMany relations', () => {
+      return tagTable.with('posts').orderBy('name').select('*')
+        .then((tags) => {
+          tags.should.eql([
+            {name: 'a', posts: [{id: 10, authorID: 1}]},
+            {name: 'b', posts: [{id: 10, authorID: 1}, {id: 12, authorID: 2}]},
+          ]);
+        });
+    });
+
+    it('should load nested relations in a transaction', () => {
+      return pool.transaction((trxn) => {
+        return userTable.transacting(trxn).with('posts.tags').where('id', 1).select('*');
+      }).then((users) => {
+        users[0].posts.map(post => post.tags).should.eql([[{name: 'a'}, {name: 'b'}], []]);
+      });
+    });
+
+    it('should not run relation queries if there are no keys to load', () => {
+      sinon.spy(pool, 'pquery');
+
+      return userTable.with('posts').where('id', 0).select('*')
+        .then((users) => {
+          users.should.eql([]);
+          pool.pquery.should.be.calledOnce();
+          pool.pquery.restore();
+        });
+    });
+
+    it('should fail if the key columns were not selected', () => {
+      return userTable.with('posts').select(['name'])
+        .then(() => {
+          throw new Error('Expected the select to fail');
+        }, (err) => {
+          err.message.should.equal('The "id" column must be selected to load the "posts" relation');
+        });
+    });
+
+    it('should join tables with aliased columns', () => {
+      return userTable.join(postTable, {id: 'authorID'}, 'LEFT').orderBy('mysql_table_rel_post_test_table.id')
+        .where('mysql_table_rel_user_test_table.id', '>', 1)
+        .select('*')
+        .then((rows) => {
+          Object.keys(rows[0]).should.eql([
+            'mysql_table_rel_user_test_table__id',
+            'mysql_table_rel_user_test_table__name',
+            'mysql_table_rel_post_test_table__id',
+            'mysql_table_rel_post_test_table__authorID',
+          ]);
+          rows.map(row => Object.keys(row).map(key => row[key])).should.eql([
+            [3, 'three', null, null],
+            [2, 'two', 12, 2],
+          ]);
+        });
+    });
+
+    it('should join tables without schemas using the nestTables option', () => {
+      return postTable.join(pool.basicTable('mysql_table_rel_post_tag_test_table'), {id: 'postID'})
+        .where('tag', 'b')
+        .orderBy('postID')
+        .select('*')
+        .then((rows) => {
+          rows.map(row => Object.keys(row)).should.eql([
+            ['mysql_table_rel_post_test_table', 'mysql_table_rel_post_tag_test_table'],
+            ['mysql_table_rel_post_test_table', 'mysql_table_rel_post_tag_test_table'],
+          ]);
+          rows.map(row => Object.keys(row).map(key => row[key])).should.eql([
+            [{id: 10, authorID: 1}, {postID: 10, tag: 'b'}],
+            [{id: 12, authorID: 2}, {postID: 12, tag: 'b'}],
+          ]);
+        });
+    });
+
+    it('should throw if a relation cannot be declared', () => {
+      should.throws(() => userTable.belongsTo('post', postTable), /Cannot infer the foreign key/);
+      should.throws(() => userTable.hasMany('posts', postTable), /already has a relation called "posts"/);
+      should.throws(() => userTable.hasMany('things', {}), TypeError);
+      should.throws(() => postTable.manyToMany('others', tagTable), /through option/);
+      should.throws(
+        () => postTable.belongsTo('owner', userTable, {foreignKey: 'authorID', references: ['id', 'name']}),
+        /same number of columns/
+      );
+    });
+
+  });
+
+
+  describe('with type casting', () => {
+
+    const {ColTypes} = MySQLPlus;
+    const typeCastTable = new MySQLTable('mysql_table_type_cast_test_table', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey().autoIncrement(),
+        flag: ColTypes.bool(),
+        data: ColTypes.json(),
+        tags: ColTypes.set('a', 'b', 'c'),
+        bits: ColTypes.bit(8),
+        price: ColTypes.decimal(10, 2),
+      },
+      typeCast: true,
+    }, pool);
+
+    before((done) => {
+      pool.query(`
+        CREATE TABLE \`mysql_table_type_cast_test_table\` (
+          \`id\` INT UNSIGNED NOT NULL PRIMARY KEY AUTO_INCREMENT,
+          \`flag\` TINYINT(1),
+          \`data\` JSON,
+          \`tags\` SET('a', 'b', 'c'),
+          \`bits\` BIT(8),
+          \`price\` DECIMAL(10, 2)
+        )
+      `, done);
+    });
+
+    it('should convert values when inserting, updating, and selecting rows', () => {
+      return typeCastTable.insert({flag: true, data: {a: [1, 2]}, tags: ['a', 'c'], bits: 5, price: 1.5})
+        .then(() => typeCastTable.insert([['flag', 'data', 'tags'], [[false, [3], []]]]))
+        .then(() => typeCastTable.update({data: {b: null}}, {id: 2}))
+        .then(() => typeCastTable.select('*', 'ORDER BY `id`'))
+        .then((rows) => {
+          rows.should.match([
+            {id: 1, flag: true, data: {a: [1, 2]}, tags: ['a', 'c'], bits: 5, price: 1.5},
+            {id: 2, flag: false, data: {b: null}, tags: [], bits: null, price: null},
+          ]);
+          return typeCastTable.select('`flag` AS `isFlagged`, `flag` + 1 AS `flagPlusOne`', {id: 1});
+        })
+        .then((rows) => {
+          rows.should.match([{isFlagged: true, flagPlusOne: 2}]);
+        });
+    });
+
+    it('should convert the values of bulk inserts without column names in the order of the columns', () => {
+      sinon.stub(pool, 'pquery').resolves({});
+
+      typeCastTable.insert([[[1, true, {a: 1}, ['a', 'b'], 5, 1.5]]]);
+
+      pool.pquery.should.be.calledOnce().and.be.calledWith(
+        'INSERT INTO `mysql_table_type_cast_test_table` VALUES (1, true, \'{\\"a\\":1}\', \'a,b\', 5, 1.5) '
+      );
+      pool.pquery.restore();
+    });
+
+    it('should use the connection typeCast option for the values that are not converted', () => {
+      const rawPool = MySQLPlus.createPool(Object.assign({}, config, {typeCast: false}));
+      const rawTable = new MySQLTable('mysql_table_type_cast_test_table', typeCastTable.schema, rawPool);
+      const next = sinon.spy();
+      const createField = (orgTable, orgName, value, charsetNr) => ({
+        packet: {orgTable, orgName, charsetNr},
+        string: () => value,
+        buffer: () => Buffer.from(value),
+      });
+
+      sinon.stub(rawPool, 'pquery').resolves([]);
+
+      return rawTable.select('*')
+        .then(() => {
+          const {typeCast} = rawPool.pquery.args[0][0];
+          typeCast(createField('mysql_table_type_cast_test_table', 'flag', '1', 63), next).should.be.true();
+          typeCast(createField('mysql_table_type_cast_test_table', 'id', '5', 63), next).should.eql(Buffer.from('5'));
+          typeCast(createField('mysql_table_type_cast_test_table', 'tags', 'a,b', 33), next).should.eql(['a', 'b']);
+          typeCast(createField('other_table', 'flag', '1', 33), next).should.equal('1');
+          next.should.not.be.called();
+          rawPool.end();
+        });
+    });
+
+  });
+
+
+  describe('with validation', () => {
+
+    const {ColTypes, ValidationError} = MySQLPlus;
+    const validatedTable = new MySQLTable('mysql_table_validation_test_table', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey().autoIncrement(),
+        email: ColTypes.varchar(10).notNull(),
+        role: ColTypes.enum('admin', 'user').notNull().default('user'),
+        points: ColTypes.tinyint().unsigned(),
+      },
+      validate: true,
+    }, pool);
+
+    beforeEach(() => {
+      sinon.spy(pool, 'pquery');
+    });
+
+    afterEach(() => {
+      pool.pquery.restore();
+    });
+
+    it('should reject invalid data when inserting with a promise', () => {
+      return validatedTable.insert({role: 'owner', points: -1, age: 20})
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(ValidationError);
+          err.table.should.equal('mysql_table_validation_test_table');
+          err.errors.should.eql([
+            {column: 'role', message: "must be one of 'admin', 'user'"},
+            {column: 'points', message: 'must be between 0 and 255'},
+            {column: 'age', message: 'is not a column in the table'},
+            {column: 'email', message: 'is required'},
+          ]);
+          pool.pquery.should.not.be.called();
+        });
+    });
+
+    it('should reject invalid data when inserting with a callback', (done) => {
+      validatedTable.insert({email: 'a@b.c', role: null}, (err) => {
+        err.should.be.an.instanceOf(ValidationError);
+        err.errors.should.eql([{column: 'role', message: 'cannot be null'}]);
+        pool.pquery.should.not.be.called();
+        done();
+      });
+    });
+
+    it('should include the row index of invalid rows in bulk inserts', () => {
+      return validatedTable.insert([['email'], [['a@b.c'], ['too_long@b.c']]])
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(ValidationError);
+          err.errors.should.eql([
+            {column: 'email', message: 'must be at most 10 characters long', row: 1},
+          ]);
+        });
+    });
+
+    it('should include the row index of invalid rows when inserting many rows', () => {
+      return validatedTable.insertMany([{email: 'a@b.c'}, {email: 'd@e.f', role: 'owner'}])
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(ValidationError);
+          err.errors.should.eql([
+            {column: 'role', message: "must be one of 'admin', 'user'", row: 1},
+          ]);
+          pool.pquery.should.not.be.called();
+        });
+    });
+
+    it('should reject invalid data when updating', () => {
+      return validatedTable.update({email: null}, {id: 1})
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(ValidationError);
+          err.errors.should.eql([{column: 'email', message: 'cannot be null'}]);
+          return validatedTable.insertIfNotExists({email: 'a@b.c', rank: 1}, ['email']);
+        })
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        })
+        .catch((err) => {
+          err.should.be.an.instanceOf(ValidationError);
+          err.errors.should.eql([{column: 'rank', message: 'is not a column in the table'}]);
+          pool.pquery.should.not.be.called();
+        });
+    });
+
+  });
+
+
+  describe('hooks', () => {
+
+    const hooksTableName = 'mysql_table_hooks_test_table';
+
+    before((done) => {
+      pool.query(`
+        CREATE TABLE \`${hooksTableName}\` (
+          \`id\` INT UNSIGNED NOT NULL PRIMARY KEY,
+          \`name\` VARCHAR(255)
+        )
+      `, done);
+    });
+
+    it('should throw if the hook name or function is invalid', () => {
+      const hooksTable = new MySQLTable(hooksTableName, {}, pool);
+
+      should.throws(() => hooksTable.on('beforeSelect', sinon.spy()), TypeError);
+      should.throws(() => hooksTable.on('afterInsert'), TypeError);
+      hooksTable.on('afterInsert', sinon.spy()).should.equal(hooksTable);
+    });
+
+    it('should call the hooks in order with the data, the SQL, and the transaction connection', () => {
+      const hooksTable = new MySQLTable(hooksTableName, {}, pool);
+      const calls = [];
+      const record = name => (event) => {
+        calls.push(name);
+        return Promise.resolve().then(() => calls.push(event));
+      };
+
+      hooksTable
+        .on('beforeInsert', record('beforeInsert 1'))
+        .on('beforeInsert', record('beforeInsert 2'))
+        .on('afterInsert', record('afterInsert'))
+        .on('beforeUpdate', record('beforeUpdate'))
+        .on('afterDelete', record('afterDelete'));
+
+      return hooksTable.insert({id: 1, name: 'one'})
+        .then((result) => {
+          result.affectedRows.should.equal(1);
+
+          const sql = 'INSERT INTO `mysql_table_hooks_test_table` SET `id` = 1, `name` = \'one\' ';
+          calls.should.have.length(6);
+          calls[0].should.equal('beforeInsert 1');
+          calls[1].should.eql({table: hooksTable, data: {id: 1, name: 'one'}, sql, trxn: undefined});
+          calls[2].should.equal('beforeInsert 2');
+          calls[4].should.equal('afterInsert');
+          calls[5].results.should.equal(result);
+
+          calls.length = 0;
+          return pool.transaction(trxn => hooksTable.transacting(trxn).update('`name` = ? WHERE `id` = ?', ['uno', 1])
+            .then(() => trxn));
+        })
+        .then((trxn) => {
+          calls.should.have.length(2);
+          calls[1].should.eql({
+            table: calls[1].table,
+            data: null,
+            sql: 'UPDATE `mysql_table_hooks_test_table` SET `name` = \'uno\' WHERE `id` = 1',
+            trxn,
+          });
+          calls[1].table.trxn.should.equal(trxn);
+
+          calls.length = 0;
+          return hooksTable.delete({id: 1});
+        })
+        .then((result) => {
+          result.affectedRows.should.equal(1);
+          calls.should.have.length(2);
+          calls[1].sql.should.equal('DELETE FROM `mysql_table_hooks_test_table` WHERE `id` = 1');
+          calls[1].results.should.equal(result);
+        });
+    });
+
+    it('should not perform the query if a before hook fails', () => {
+      const hooksTable = new MySQLTable(hooksTableName, {}, pool);
+      const hookError = new Error('Hook error');
+      const afterHook = sinon.spy();
+
+      hooksTable
+        .on('beforeUpdate', () => {
+          throw hookError;
+        })
+        .on('afterUpdate', afterHook);
+      sinon.stub(pool, 'pquery').resolves({});
+
+      return hooksTable.update({name: 'updated'})
+        .then(() => {
+          pool.pquery.restore();
+          throw new Error('Should not have succeeded');
+        }, (err) => {
+          const {pquery} = pool;
+          pquery.restore();
+          err.should.equal(hookError);
+          pquery.should.not.be.called();
+          afterHook.should.not.be.called();
+        });
+    });
+
+    it('should roll back the transaction if a hook fails inside a transaction', () => {
+      const hooksTable = new MySQLTable(hooksTableName, {}, pool);
+      const hookError = new Error('Hook error');
+
+      hooksTable.on('afterInsert', event => (event.data.id === 3 ? Promise.reject(hookError) : undefined));
+
+      return pool.transaction(trxn => hooksTable.transacting(trxn).insert({id: 2})
+        .then(() => hooksTable.transacting(trxn).insert({id: 3})))
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        }, (err) => {
+          err.should.equal(hookError);
+          return hooksTable.insertMany([{id: 4}, {id: 5}, {id: 3}], {chunkSize: 2, transaction: true});
+        })
+        .then(() => {
+          throw new Error('Should not have succeeded');
+        }, (err) => {
+          err.should.equal(hookError);
+          return hooksTable.select('*');
+        })
+        .then((rows) => {
+          rows.should.be.empty();
+        });
+    });
+
+  });
+
 });
@@ -6,11 +6,15 @@ const ColumnDefinitions = require('../../lib/ColumnDefinitions');
 const Connection = require('mysql/lib/Connection');
 const KeyDefinitions = require('../../lib/KeyDefinitions');
 const MySQLTable = require('../../lib/MySQLTable');
+const Operation = require('../../lib/Operation');
 const Pool = require('mysql/lib/Pool');
 const PoolPlus = require('../../lib/PoolPlus');
 const TableDefinition = require('../../lib/TableDefinition');
 
 const config = require('../config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const should = require('should');
 const sinon = require('sinon');
 
@@ -142,6 +146,77 @@ describe('PoolPlus', () => {
       should.throws(() => pool.defineTable('table', {columns: new Clazz()}), /must have.*column/);
     });
 
+    it('should throw if the schema\'s oldName is not a string', () => {
+      should.throws(
+        () => pool.defineTable('table', {columns: {id: pool.ColTypes.int()}, oldName: 1}),
+        /oldName must be a string/
+      );
+    });
+
+    it('should add a column for the softDelete option if the column is not defined', () => {
+      const otherPool = new PoolPlus(config);
+      const addedSchema = {columns: {id: otherPool.ColTypes.int()}, softDelete: 'deletedAt'};
+      const definedSchema = {columns: {removed: otherPool.ColTypes.timestamp(3)}, softDelete: 'removed'};
+
+      const addedTable = otherPool.defineTable('soft_delete_table', addedSchema);
+      const definedTable = otherPool.defineTable('defined_soft_delete_table', definedSchema);
+      otherPool.end();
+
+      addedTable.schema.columns.deletedAt.$toSQL().should.equal('datetime');
+      definedTable.schema.columns.removed.$toSQL().should.equal('timestamp(3) NULL');
+      definedTable.schema.should.equal(definedSchema);
+    });
+
+    it('should not change the original schema when adding columns', () => {
+      const otherPool = new PoolPlus(config);
+      const baseSchema = {columns: {id: otherPool.ColTypes.int()}, softDelete: 'deletedAt', timestamps: true};
+
+      const table = otherPool.defineTable('added_columns_table', baseSchema);
+      const otherTable = otherPool.defineTable('other_added_columns_table', Object.assign({}, baseSchema, {
+        softDelete: 'removedAt',
+        timestamps: undefined,
+      }));
+      otherPool.end();
+
+      Object.keys(baseSchema.columns).should.eql(['id']);
+      Object.keys(table.schema.columns).should.eql(['id', 'deletedAt', 'createdAt', 'updatedAt']);
+      Object.keys(otherTable.schema.columns).should.eql(['id', 'removedAt']);
+    });
+
+    it('should throw if the schema\'s softDelete option is not a string', () => {
+      should.throws(
+        () => pool.defineTable('table', {columns: {id: pool.ColTypes.int()}, softDelete: true}),
+        /softDelete option must be a column name/
+      );
+    });
+
+    it('should add columns for the timestamps option if the columns are not defined', () => {
+      const otherPool = new PoolPlus(config);
+      const defaultSchema = {columns: {id: otherPool.ColTypes.int()}, timestamps: true};
+      const customSchema = {
+        columns: {created: otherPool.ColTypes.timestamp()},
+        timestamps: {created: 'created', updated: 'modified', precision: 3, useServerDefaults: false},
+      };
+
+      const defaultColumns = otherPool.defineTable('default_timestamps_table', defaultSchema).schema.columns;
+      const customColumns = otherPool.defineTable('custom_timestamps_table', customSchema).schema.columns;
+      otherPool.end();
+
+      defaultColumns.createdAt.$toSQL()
+        .should.equal('datetime NOT NULL DEFAULT CURRENT_TIMESTAMP');
+      defaultColumns.updatedAt.$toSQL()
+        .should.equal('datetime ON UPDATE CURRENT_TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP');
+      customColumns.created.$toSQL().should.equal('timestamp NULL');
+      customColumns.modified.$toSQL().should.equal('datetime(3) NOT NULL');
+    });
+
+    it('should throw if the schema\'s timestamps option is invalid', () => {
+      should.throws(
+        () => pool.defineTable('table', {columns: {id: pool.ColTypes.int()}, timestamps: {precision: 7}}),
+        /timestamps precision must be an integer from 0 to 6/
+      );
+    });
+
     it('should throw if the specified migration strategy is invalid', () => {
       should.throws(
         () => pool.defineTable('table', {columns: {id: 1}}, 'bleh'),
@@ -196,6 +271,103 @@ describe('PoolPlus', () => {
     });
 
 
+    it('should allow multiple pools to sync the same tables at the same time', () => {
+      const schema = {
+        columns: {
+          id: pool.ColTypes.int().unsigned().notNull().primaryKey(),
+        },
+      };
+      const pools = [new PoolPlus(config), new PoolPlus(config), new PoolPlus(config)];
+
+      for (const p of pools) {
+        p.defineTable('pool_plus_test_table_concurrent_sync', schema);
+      }
+
+      return Promise.all(pools.map(p => p.sync()))
+        .then(() => pool.pquery('DROP TABLE `pool_plus_test_table_concurrent_sync`'))
+        .then(() => Promise.all(pools.map(p => new Promise(resolve => p.end(resolve)))));
+    });
+
+    it('should fail if the sync lock could not be acquired before the timeout', () => {
+      const lockedPool = new PoolPlus(Object.assign({
+        plusOptions: {syncLockName: 'pool_plus_test_lock', syncLockTimeout: 0},
+      }, config));
+
+      return lockedPool._withLock('pool_plus_test_lock', 0, () => {
+        return lockedPool.sync().then(() => {
+          throw new Error('should have rejected');
+        }, (err) => {
+          err.message.should.equal('Timed out waiting to acquire the "pool_plus_test_lock" lock');
+        });
+      }).then(() => new Promise(resolve => lockedPool.end(resolve)));
+    });
+
+
+    describe('with the `dropUndefinedTables` option', () => {
+
+      const ORPHAN_TABLE_A = 'pool_plus_test_orphan_a';
+      const ORPHAN_TABLE_B = 'pool_plus_test_orphan_b';
+      const KEPT_TABLE = 'pool_plus_test_orphan_kept';
+
+      // Keep all tables used by other tests
+      const keepTables = [KEPT_TABLE, /^(?!pool_plus_test_orphan_)/];
+
+      function isOrphanTestOperation(operation) {
+        return operation.table.startsWith('pool_plus_test_orphan_');
+      }
+
+      before(() => {
+        return pool.pquery(`CREATE TABLE ${ORPHAN_TABLE_B} (id int PRIMARY KEY)`)
+          .then(() => pool.pquery(
+            `CREATE TABLE ${ORPHAN_TABLE_A} (bID int, CONSTRAINT fk_orphan_a FOREIGN KEY (bID) REFERENCES ${ORPHAN_TABLE_B} (id))`
+          ))
+          .then(() => pool.pquery(`CREATE TABLE ${KEPT_TABLE} (id int)`));
+      });
+
+      after(() => {
+        return pool.pquery('DROP TABLE IF EXISTS ??, ??, ??', [ORPHAN_TABLE_A, ORPHAN_TABLE_B, KEPT_TABLE]);
+      });
+
+      it('should not drop undefined tables with the "safe" migration strategy', () => {
+        const safePool = new PoolPlus(Object.assign({
+          plusOptions: {dropUndefinedTables: true, keepTables, migrationStrategy: 'safe'},
+        }, config));
+
+        return safePool.planSync()
+          .then((operations) => {
+            operations.filter(isOrphanTestOperation).should.be.empty();
+            return new Promise(resolve => safePool.end(resolve));
+          });
+      });
+
+      it('should drop tables that are not defined or kept (and their foreign keys first)', () => {
+        const dropPool = new PoolPlus(Object.assign({
+          plusOptions: {dropUndefinedTables: true, keepTables},
+        }, config));
+
+        return dropPool.planSync()
+          .then((operations) => {
+            operations.filter(isOrphanTestOperation).should.eql([
+              {
+                type: 'DROP_FOREIGN_KEY',
+                table: ORPHAN_TABLE_A,
+                sql: `ALTER TABLE \`${ORPHAN_TABLE_A}\` DROP FOREIGN KEY \`fk_orphan_a\``,
+              },
+              {type: 'DROP_TABLE', table: ORPHAN_TABLE_A, sql: `DROP TABLE \`${ORPHAN_TABLE_A}\``},
+              {type: 'DROP_TABLE', table: ORPHAN_TABLE_B, sql: `DROP TABLE \`${ORPHAN_TABLE_B}\``},
+            ]);
+            return dropPool.sync();
+          })
+          .then(() => pool.pquery('SHOW TABLES LIKE \'pool_plus_test_orphan_%\''))
+          .then((rows) => {
+            rows.map(row => row[Object.keys(row)[0]]).should.eql([KEPT_TABLE]);
+            return new Promise(resolve => dropPool.end(resolve));
+          });
+      });
+
+    });
+
+
     describe('if an error occured getting a connection', () => {
 
       const error = new Error('test error');
@@ -285,6 +457,459 @@ describe('PoolPlus', () => {
 
     });
 
+    describe('when running the sync operations', () => {
+
+      const TABLE_A = 'pool_plus_test_table_operations_a';
+      const TABLE_B = 'pool_plus_test_table_operations_b';
+
+      const journalPool = new PoolPlus(Object.assign({plusOptions: {syncJournal: true}}, config));
+      journalPool.defineTable(TEST_TABLE_NAME, TEST_TABLE_SCHEMA);
+
+      var operations;
+      var events;
+
+      function logEvent(name) {
+        return (...args) => events.push([name, ...args]);
+      }
+
+      before(() => {
+        journalPool.on('operationStart', logEvent('operationStart'));
+        journalPool.on('operationEnd', logEvent('operationEnd'));
+        journalPool.on('operationError', logEvent('operationError'));
+        sinon.stub(TableDefinition.prototype, 'genSyncOperations').callsFake((db, cb) => {
+          process.nextTick(cb, null, operations);
+        });
+      });
+
+      beforeEach(() => {
+        events = [];
+      });
+
+      after((done) => {
+        TableDefinition.prototype.genSyncOperations.restore();
+        journalPool.pquery('DROP TABLE IF EXISTS ??, ??, `mysql_plus_sync_journal`', [TABLE_A, TABLE_B])
+          .then(() => journalPool.end(done), done);
+      });
+
+      it('should run the operations in order, emit events, and record them in the journal', () => {
+        operations = [
+          Operation.create(Operation.Types.CREATE_TABLE, `CREATE TABLE \`${TABLE_B}\` (\`id\` int)`),
+          Operation.create(Operation.Types.DROP_TABLE, `DROP TABLE IF EXISTS \`${TABLE_B}\``),
+        ];
+
+        return journalPool.sync()
+          .then(() => {
+            const dropInfo = {type: 'DROP_TABLE', table: TEST_TABLE_NAME, sql: operations[1].sql};
+            const createInfo = {type: 'CREATE_TABLE', table: TEST_TABLE_NAME, sql: operations[0].sql};
+
+            events.should.eql([
+              ['operationStart', dropInfo],
+              ['operationEnd', dropInfo],
+              ['operationStart', createInfo],
+              ['operationEnd', createInfo],
+            ]);
+
+            return journalPool.pquery(
+              'SELECT `type`, `sql`, `error` FROM `mysql_plus_sync_journal` ' +
+              'WHERE `batch` = (SELECT MAX(`batch`) FROM `mysql_plus_sync_journal`) ORDER BY `id`'
+            );
+          })
+          .then((rows) => {
+            rows.map(row => Object.assign({}, row)).should.eql([
+              {type: 'DROP_TABLE', sql: operations[1].sql, error: null},
+              {type: 'CREATE_TABLE', sql: operations[0].sql, error: null},
+            ]);
+          });
+      });
+
+      it('should stop at the first failed operation and report what was completed', () => {
+        operations = [
+          Operation.create(Operation.Types.CREATE_TABLE, `CREATE TABLE \`${TABLE_A}\` (\`id\` int)`),
+          Operation.create(Operation.Types.CREATE_TABLE, `CREATE TABLE \`${TABLE_B}\` (\`id\` int)`),
+          Operation.create(Operation.Types.ALTER_TABLE, `ALTER TABLE \`${TABLE_A}\` ADD COLUMN \`id\` int`),
+        ];
+
+        return journalPool.sync()
+          .then(() => {
+            throw new Error('should have rejected');
+          }, (err) => {
+            const createInfo = {type: 'CREATE_TABLE', table: TEST_TABLE_NAME, sql: operations[0].sql};
+            const failedInfo = {type: 'CREATE_TABLE', table: TEST_TABLE_NAME, sql: operations[1].sql};
+
+            err.should.have.property('code', 'ER_TABLE_EXISTS_ERROR');
+            err.operation.should.eql(failedInfo);
+            err.completedOperations.should.eql([createInfo]);
+
+            events.should.eql([
+              ['operationStart', createInfo],
+              ['operationEnd', createInfo],
+              ['operationStart', failedInfo],
+              ['operationError', err, failedInfo],
+            ]);
+
+            return journalPool.pquery(
+              'SELECT `sql`, `error` FROM `mysql_plus_sync_journal` ' +
+              'WHERE `batch` = (SELECT MAX(`batch`) FROM `mysql_plus_sync_journal`) ORDER BY `id`'
+            );
+          })
+          .then((rows) => {
+            rows.should.have.length(2);
+            rows[0].should.have.properties({sql: operations[0].sql, error: null});
+            rows[1].should.have.property('sql', operations[1].sql);
+            rows[1].error.should.startWith('ER_TABLE_EXISTS_ERROR');
+          });
+      });
+
+      it('should not record the operations in the journal if the syncJournal option is not enabled', () => {
+        operations = [
+          Operation.create(Operation.Types.DROP_TABLE, `DROP TABLE IF EXISTS \`${TABLE_B}\``),
+        ];
+        sinon.spy(Connection.prototype, 'query');
+
+        return pool.sync()
+          .then(() => {
+            const {query} = Connection.prototype;
+            query.restore();
+            query.args.map(args => args[0]).should.eql([
+              'SELECT GET_LOCK(?, ?) AS `locked`',
+              operations[0].sql,
+              'DO RELEASE_LOCK(?)',
+            ]);
+          }, (err) => {
+            Connection.prototype.query.restore();
+            throw err;
+          });
+      });
+
+    });
+
+  });
+
+
+  describe('#planSync()', () => {
+
+    it('should resolve with no operations if the defined tables are already synced', () => {
+      return pool.planSync()
+        .then((operations) => {
+          operations.should.deepEqual([]);
+        });
+    });
+
+    it('should work even if no tables have been defined', (done) => {
+      const p = new PoolPlus(config);
+      p.planSync((err, operations) => {
+        if (err) throw err;
+        operations.should.deepEqual([]);
+        p.end(done);
+      });
+    });
+
+
+    describe('with stubbed sync operations', () => {
+
+      before(() => {
+        sinon.stub(TableDefinition.prototype, 'genSyncOperations').yieldsAsync(null, [
+          Operation.create(Operation.Types.ADD_FOREIGN_KEY, 'ALTER TABLE `a` ADD CONSTRAINT `fk`'),
+          Operation.create(Operation.Types.CREATE_TABLE, 'CREATE TABLE `a` (`id` int)'),
+        ]);
+        sinon.spy(Connection.prototype, 'query');
+      });
+
+      after(() => {
+        TableDefinition.prototype.genSyncOperations.restore();
+        Connection.prototype.query.restore();
+      });
+
+      it('should call the callback with the sorted operations without running them', (done) => {
+        pool.planSync((err, operations) => {
+          if (err) throw err;
+          operations.should.deepEqual([
+            {type: 'CREATE_TABLE', table: TEST_TABLE_NAME, sql: 'CREATE TABLE `a` (`id` int)'},
+            {type: 'ADD_FOREIGN_KEY', table: TEST_TABLE_NAME, sql: 'ALTER TABLE `a` ADD CONSTRAINT `fk`'},
+          ]);
+          Connection.prototype.query.should.not.be.called();
+          done();
+        });
+      });
+
+      it('should resolve the returned promise with the sorted operations', () => {
+        return pool.planSync()
+          .then((operations) => {
+            operations.map(op => op.type).should.deepEqual(['CREATE_TABLE', 'ADD_FOREIGN_KEY']);
+          });
+      });
+
+    });
+
+
+    describe('if an error occured getting the sync operations', () => {
+
+      const error = new Error('test error');
+
+      before(() => {
+        sinon.stub(TableDefinition.prototype, 'genSyncOperations').yieldsAsync(error);
+      });
+
+      after(() => {
+        TableDefinition.prototype.genSyncOperations.restore();
+      });
+
+      it('should call the callback with an error', (done) => {
+        pool.planSync((err) => {
+          err.should.equal(error);
+          done();
+        });
+      });
+
+      it('should reject the returned promise with an error', () => {
+        return pool.planSync().then(() => {
+          throw new Error('should have rejected');
+        }, (err) => {
+          err.should.equal(error);
+        });
+      });
+
+    });
+
+  });
+
+
+  describe('#migrate() and #rollback()', () => {
+
+    const migrationsPool = new PoolPlus(Object.assign({
+      plusOptions: {migrationsDir: path.join(__dirname, '../fixtures/migrations')},
+    }, config));
+
+    after((done) => {
+      migrationsPool.pquery('DROP TABLE IF EXISTS `mysql_plus_migrations`, `migrator_test_table`')
+        .then(() => migrationsPool.end(done), done);
+    });
+
+    it('should fail if the `migrationsDir` option was not set', (done) => {
+      pool.migrate().should.be.rejectedWith(/`migrationsDir` option must be set/)
+        .then(() => pool.rollback().should.be.rejectedWith(/`migrationsDir` option must be set/))
+        .then(() => {
+          pool.rollback(2, (err) => {
+            err.message.should.match(/`migrationsDir` option must be set/);
+            done();
+          });
+        }, done);
+    });
+
+    it('should fail if the number of migrations to roll back is not a positive integer', () => {
+      return Promise.all([-1, 0, 1.5, null, '2'].map(
+        count => migrationsPool.rollback(count).should.be.rejectedWith(TypeError)
+      ));
+    });
+
+    it('should run pending migrations in order and record them', () => {
+      return migrationsPool.migrate()
+        .then((migrationNames) => {
+          migrationNames.should.deepEqual([
+            '1_create_migration_test_table',
+            '2_insert_migration_test_rows',
+            '10_insert_more_migration_test_rows',
+          ]);
+          return migrationsPool.pquery('SELECT `id` FROM `migrator_test_table` ORDER BY `id`');
+        })
+        .then((rows) => {
+          rows.should.deepEqual([{id: 1}, {id: 2}, {id: 10}]);
+          return migrationsPool.pquery('SELECT `name` FROM `mysql_plus_migrations` ORDER BY `id`');
+        })
+        .then((rows) => {
+          rows.map(row => row.name).should.deepEqual([
+            '1_create_migration_test_table',
+            '2_insert_migration_test_rows',
+            '10_insert_more_migration_test_rows',
+          ]);
+        });
+    });
+
+    it('should not run migrations that have already been run', (done) => {
+      migrationsPool.migrate((err, migrationNames) => {
+        if (err) throw err;
+        migrationNames.should.deepEqual([]);
+        done();
+      });
+    });
+
+    it('should roll back the most recent migration by default', (done) => {
+      migrationsPool.rollback((err, migrationNames) => {
+        if (err) throw err;
+        migrationNames.should.deepEqual(['10_insert_more_migration_test_rows']);
+        migrationsPool.query('SELECT `id` FROM `migrator_test_table` ORDER BY `id`', (err, rows) => {
+          if (err) throw err;
+          rows.should.deepEqual([{id: 1}, {id: 2}]);
+          done();
+        });
+      });
+    });
+
+    it('should roll back the specified number of migrations', () => {
+      return migrationsPool.rollback(2)
+        .then((migrationNames) => {
+          migrationNames.should.deepEqual(['2_insert_migration_test_rows', '1_create_migration_test_table']);
+          return migrationsPool.pquery('SHOW TABLES LIKE \'migrator_test_table\'');
+        })
+        .then((rows) => {
+          rows.should.have.length(0);
+          return migrationsPool.pquery('SELECT * FROM `mysql_plus_migrations`');
+        })
+        .then((rows) => {
+          rows.should.have.length(0);
+        });
+    });
+
+    it('should only need a single pool connection', () => {
+      const singleConnectionPool = new PoolPlus(Object.assign({
+        connectionLimit: 1,
+        plusOptions: {migrationsDir: path.join(__dirname, '../fixtures/migrations')},
+      }, config));
+
+      return singleConnectionPool.migrate()
+        .then((migrationNames) => {
+          migrationNames.should.have.length(3);
+          return singleConnectionPool.rollback(3);
+        })
+        .then((migrationNames) => {
+          migrationNames.should.have.length(3);
+          return new Promise(resolve => singleConnectionPool.end(resolve));
+        });
+    });
+
+    it('should not record a migration that fails', () => {
+      // Only migrations without statements that cause an implicit commit (such as DDL) can be rolled back
+      const dmlMigrationsPool = new PoolPlus(Object.assign({
+        plusOptions: {migrationsDir: path.join(__dirname, '../fixtures/dml-migrations')},
+      }, config));
+
+      return dmlMigrationsPool.pquery('CREATE TABLE `migrator_test_table` (`id` int unsigned NOT NULL PRIMARY KEY)')
+        .then(() => {
+          sinon.stub(Connection.prototype, 'commit').yieldsAsync(new Error('test error'));
+          return dmlMigrationsPool.migrate();
+        })
+        .then(() => {
+          Connection.prototype.commit.restore();
+          throw new Error('should have rejected');
+        }, (err) => {
+          Connection.prototype.commit.restore();
+          err.message.should.equal('test error');
+          return dmlMigrationsPool.pquery('SELECT * FROM `mysql_plus_migrations`');
+        })
+        .then((rows) => {
+          rows.should.have.length(0);
+          return dmlMigrationsPool.pquery('SELECT * FROM `migrator_test_table`');
+        })
+        .then((rows) => {
+          rows.should.have.length(0);
+          return dmlMigrationsPool.pquery('DROP TABLE `migrator_test_table`');
+        })
+        .then(() => new Promise(resolve => dmlMigrationsPool.end(resolve)));
+    });
+
+    it('should fail if a migration file cannot be loaded', () => {
+      const brokenMigrationsPool = new PoolPlus(Object.assign({
+        plusOptions: {migrationsDir: path.join(__dirname, '../fixtures/broken-migrations')},
+      }, config));
+      const expectedMessage = 'The "1_broken_migration.js" migration could not be loaded: Broken migration';
+
+      return brokenMigrationsPool.migrate().should.be.rejectedWith(expectedMessage)
+        .then(() => brokenMigrationsPool.rollback().should.be.rejectedWith(expectedMessage))
+        .then(() => new Promise(resolve => brokenMigrationsPool.end(resolve)));
+    });
+
+  });
+
+
+  describe('#generateMigration()', () => {
+
+    const migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mysql-plus-migrations-'));
+    const generatorPool = new PoolPlus(Object.assign({plusOptions: {migrationsDir}}, config));
+
+    generatorPool.defineTable('pool_plus_generated_migration_table', {
+      columns: {
+        id: generatorPool.ColTypes.int().unsigned().notNull().primaryKey(),
+      },
+    });
+
+    after((done) => {
+      generatorPool.pquery('DROP TABLE IF EXISTS `mysql_plus_migrations`, `pool_plus_generated_migration_table`')
+        .then(() => generatorPool.end(done), done);
+    });
+
+    it('should fail if the `migrationsDir` option was not set', () => {
+      return pool.generateMigration('name').should.be.rejectedWith(/`migrationsDir` option must be set/);
+    });
+
+    it('should write a migration file that migrates the database to match the defined tables', () => {
+      return generatorPool.generateMigration('create_table')
+        .then((filePath) => {
+          path.dirname(filePath).should.equal(migrationsDir);
+          path.basename(filePath).should.match(/^\d{14}_create_table\.js$/);
+          fs.readFileSync(filePath, 'utf8').should.containEql(
+            '"CREATE TABLE `pool_plus_generated_migration_table` (\\n' +
+            '  `id` int unsigned NOT NULL,\\n' +
+            '  PRIMARY KEY (`id`)\\n)",'
+          ).and.containEql(
+            '"DROP TABLE `pool_plus_generated_migration_table`",'
+          );
+
+          return generatorPool.migrate();
+        })
+        .then((migrationNames) => {
+          migrationNames.should.have.length(1);
+          return generatorPool.pquery("SHOW TABLES LIKE 'pool_plus_generated_migration_table'");
+        })
+        .then((rows) => {
+          rows.should.have.length(1);
+        });
+    });
+
+    it('should not write a file if the database already matches the defined tables', (done) => {
+      generatorPool.generateMigration('no_changes', (err, filePath) => {
+        if (err) throw err;
+        should.strictEqual(filePath, null);
+        fs.readdirSync(migrationsDir).should.have.length(1);
+        done();
+      });
+    });
+
+    it('should drop new tables before the new tables they reference when reversing the migration', () => {
+      const fkMigrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mysql-plus-migrations-'));
+      const fkPool = new PoolPlus(Object.assign({plusOptions: {migrationsDir: fkMigrationsDir}}, config));
+      const {ColTypes, KeyTypes} = fkPool;
+
+      fkPool.defineTable('pool_plus_parent_table', {
+        columns: {
+          id: ColTypes.int().unsigned().notNull().primaryKey(),
+        },
+      });
+      fkPool.defineTable('pool_plus_child_table', {
+        columns: {
+          id: ColTypes.int().unsigned().notNull().primaryKey(),
+          parentID: ColTypes.int().unsigned(),
+        },
+        keys: [
+          KeyTypes.foreignKey('parentID').references('pool_plus_parent_table', 'id'),
+        ],
+      });
+      sinon.stub(fkPool, 'query').yields(null, []); // None of the tables exist
+
+      return fkPool.generateMigration('create_tables')
+        .then((filePath) => {
+          fkPool.query.restore();
+          const content = fs.readFileSync(filePath, 'utf8');
+          const downContent = content.slice(content.indexOf('const down'));
+
+          downContent.indexOf('DROP TABLE `pool_plus_child_table`').should.be.below(
+            downContent.indexOf('DROP TABLE `pool_plus_parent_table`')
+          );
+        }, (err) => {
+          fkPool.query.restore();
+          throw err;
+        });
+    });
+
   });
 
 
@@ -913,18 +1538,25 @@ describe('PoolPlus', () => {
 
     const debugPool = new PoolPlus(Object.assign({plusOptions: {debug: true}}, config));
 
-    before(() => {
-      sinon.stub(debugPool, 'query').yieldsAsync(null, []);
-    });
+    // Responds to the sync lock queries and makes the tables appear to not exist yet
+    function mockQuery(sql, values, cb) {
+      if (typeof values === 'function') {
+        cb = values;
+      }
+      if (sql.startsWith('SELECT GET_LOCK')) {
+        process.nextTick(cb, null, [{locked: 1}]);
+      } else {
+        process.nextTick(cb, null, []);
+      }
+    }
 
     after((done) => {
-      debugPool.query.restore();
       debugPool.end(done);
     });
 
     it('should log operations to the console when syncing', (done) => {
       sinon.stub(console, 'log');
-      sinon.stub(Connection.prototype, 'query').yieldsAsync();
+      sinon.stub(Connection.prototype, 'query').callsFake(mockQuery);
 
       debugPool.defineTable('pool_plus_test_table_debug_a', {
         columns: {
@@ -969,8 +1601,12 @@ describe('PoolPlus', () => {
       const error = new Error('MOCK ALTER TABLE ERROR');
 
       sinon.stub(console, 'log');
-      sinon.stub(Connection.prototype, 'query').callsFake((sql, cb) => {
-        process.nextTick(cb, sql.startsWith('ALTER') ? error : null);
+      sinon.stub(Connection.prototype, 'query').callsFake((sql, values, cb) => {
+        if (sql.startsWith('ALTER')) {
+          process.nextTick(values, error);
+        } else {
+          mockQuery(sql, values, cb);
+        }
       });
 
       debugPool.defineTable('pool_plus_test_table_debug_error', {
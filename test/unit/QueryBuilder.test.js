@@ -0,0 +1,404 @@
+'use strict';
+
+const MySQLPlus = require('../../lib/MySQLPlus');
+const MySQLTable = require('../../lib/MySQLTable');
+const QueryBuilder = require('../../lib/QueryBuilder');
+
+const config = require('../config');
+const should = require('should');
+const sinon = require('sinon');
+
+describe('QueryBuilder', () => {
+
+  const pool = MySQLPlus.createPool(config);
+  const testTable = new MySQLTable('query_builder_test_table', {}, pool);
+
+  beforeEach(() => {
+    sinon.stub(pool, 'pquery').resolves([{exists: 1}]);
+  });
+
+  afterEach(() => {
+    pool.pquery.restore();
+  });
+
+  after((done) => {
+    pool.end(done);
+  });
+
+
+  it('should be created by the MySQLTable building methods', () => {
+    testTable.where({id: 1}).should.be.an.instanceOf(QueryBuilder);
+    testTable.orderBy('id').should.be.an.instanceOf(QueryBuilder);
+    testTable.limit(1).should.be.an.instanceOf(QueryBuilder);
+    testTable.offset(1).should.be.an.instanceOf(QueryBuilder);
+    testTable.join(pool.basicTable('other'), {id: 'id'}).should.be.an.instanceOf(QueryBuilder);
+  });
+
+
+  describe('#where()', () => {
+
+    it('should accept an object of column-value pairs', () => {
+      testTable.where({id: 1, email: 'a@b.c'}).toSQL()
+        .should.equal("WHERE `id` = 1 AND `email` = 'a@b.c'");
+
+      testTable.where({id: [1, 2], email: null, letter: {$ne: 'a'}}).toSQL()
+        .should.equal("WHERE `id` IN (1, 2) AND `email` IS NULL AND `letter` <> 'a'");
+    });
+
+    it('should accept a column and a value', () => {
+      testTable.where('id', 1).toSQL()
+        .should.equal('WHERE `id` = 1');
+
+      testTable.where('id', [1, 2]).toSQL()
+        .should.equal('WHERE `id` IN (1, 2)');
+
+      testTable.where('email', null).toSQL()
+        .should.equal('WHERE `email` IS NULL');
+
+      testTable.where('id', {$gt: 1, $lt: 5}).orWhere('id', 0).toSQL()
+        .should.equal('WHERE (`id` > 1 AND `id` < 5) OR `id` = 0');
+    });
+
+    it('should accept a column, an operator, and a value', () => {
+      testTable.where('id', '>=', 1).toSQL()
+        .should.equal('WHERE `id` >= 1');
+
+      testTable.where('email', 'not like', '%@example.com').toSQL()
+        .should.equal("WHERE `email` NOT LIKE '%@example.com'");
+
+      testTable.where('id', 'IN', [1, 2]).toSQL()
+        .should.equal('WHERE `id` IN (1, 2)');
+
+      testTable.where('id', 'IN', []).toSQL()
+        .should.equal('WHERE FALSE');
+
+      testTable.where('user.id', '<>', 1).toSQL()
+        .should.equal('WHERE `user`.`id` <> 1');
+    });
+
+    it('should accept an SQL string with or without values for placeholders', () => {
+      testTable.where('`id` > 1 OR `id` < 0').toSQL()
+        .should.equal('WHERE `id` > 1 OR `id` < 0');
+
+      testTable.where('`id` > ? OR `email` = ?', [1, '?']).toSQL()
+        .should.equal("WHERE `id` > 1 OR `email` = '?'");
+    });
+
+    it('should ignore empty condition objects', () => {
+      testTable.where({}).toSQL().should.equal('');
+    });
+
+    it('should throw if the condition or operator is invalid', () => {
+      should.throws(() => testTable.where(1), TypeError);
+      should.throws(() => testTable.where(null), TypeError);
+      should.throws(() => testTable.where('id', '; DROP TABLE `user`; --', 1), TypeError);
+    });
+
+  });
+
+
+  describe('#andWhere() and #orWhere()', () => {
+
+    it('should combine conditions and wrap compound conditions in parentheses', () => {
+      testTable.where('id', 1).andWhere('email', 'a@b.c').toSQL()
+        .should.equal("WHERE `id` = 1 AND `email` = 'a@b.c'");
+
+      testTable.where('id', 1).orWhere({id: 2, email: 'a@b.c'}).toSQL()
+        .should.equal("WHERE `id` = 1 OR (`id` = 2 AND `email` = 'a@b.c')");
+
+      testTable.where('`id` = 1 OR `id` = 2').andWhere('email', 'a@b.c').toSQL()
+        .should.equal("WHERE (`id` = 1 OR `id` = 2) AND `email` = 'a@b.c'");
+    });
+
+    it('should combine mixed AND and OR conditions in the order they were added', () => {
+      testTable.where('id', 1).orWhere('id', 2).andWhere('email', 'a@b.c').toSQL()
+        .should.equal("WHERE (`id` = 1 OR `id` = 2) AND `email` = 'a@b.c'");
+
+      testTable.where('id', 1).andWhere('email', 'a@b.c').orWhere('id', 2).orWhere('id', 3).toSQL()
+        .should.equal("WHERE (`id` = 1 AND `email` = 'a@b.c') OR `id` = 2 OR `id` = 3");
+
+      testTable.where('id', 1).orWhere('id', 2).andWhere('email', 'a@b.c').orWhere('admin', 1).toSQL()
+        .should.equal("WHERE ((`id` = 1 OR `id` = 2) AND `email` = 'a@b.c') OR `admin` = 1");
+    });
+
+  });
+
+
+  describe('#orderBy(), #limit(), and #offset()', () => {
+
+    it('should add ORDER BY, LIMIT, and OFFSET clauses', () => {
+      testTable.orderBy('id').orderBy('email', 'desc').toSQL()
+        .should.equal('ORDER BY `id` ASC, `email` DESC');
+
+      testTable.where('id', '>', 1).orderBy('id').limit(10).offset(20).toSQL()
+        .should.equal('WHERE `id` > 1 ORDER BY `id` ASC LIMIT 10 OFFSET 20');
+
+      testTable.offset(5).toSQL()
+        .should.equal('LIMIT 18446744073709551615 OFFSET 5');
+    });
+
+    it('should throw if given invalid arguments', () => {
+      should.throws(() => testTable.orderBy('id', 'sideways'), TypeError);
+      should.throws(() => testTable.limit(-1), TypeError);
+      should.throws(() => testTable.limit('10'), TypeError);
+      should.throws(() => testTable.offset(1.5), TypeError);
+    });
+
+  });
+
+
+  it('should not modify the original builder when building a new query', () => {
+    const base = testTable.where('id', '>', 1);
+
+    base.limit(1).toSQL().should.equal('WHERE `id` > 1 LIMIT 1');
+    base.orWhere('id', 0).toSQL().should.equal('WHERE `id` > 1 OR `id` = 0');
+    base.toSQL().should.equal('WHERE `id` > 1');
+  });
+
+
+  describe('#with()', () => {
+
+    const {ColTypes, KeyTypes} = MySQLPlus;
+    const userTable = new MySQLTable('query_builder_user_test_table', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey(),
+      },
+    }, pool);
+    const postTable = new MySQLTable('query_builder_post_test_table', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey(),
+        authorID: ColTypes.int().unsigned(),
+      },
+      keys: [
+        KeyTypes.foreignKey('authorID').references('query_builder_user_test_table', 'id'),
+      ],
+    }, pool);
+    userTable.hasMany('posts', postTable);
+
+    it('should load the relations of the selected rows', () => {
+      pool.pquery.onFirstCall().resolves([{id: 1}, {id: 2}]);
+      pool.pquery.onSecondCall().resolves([{id: 5, authorID: 2}]);
+
+      return userTable.with('posts').where('id', '<', 3).select('*')
+        .then((users) => {
+          users.should.eql([{id: 1, posts: []}, {id: 2, posts: [{id: 5, authorID: 2}]}]);
+          pool.pquery.args.map(args => args[0]).should.eql([
+            'SELECT * FROM `query_builder_user_test_table` WHERE `id` < 3',
+            'SELECT * FROM `query_builder_post_test_table` WHERE `authorID` IN (1, 2)',
+          ]);
+        });
+    });
+
+    it('should throw if a relation has not been declared', () => {
+      should.throws(() => userTable.with('comments'), /"query_builder_user_test_table" .* relation called "comments"/);
+      should.throws(() => userTable.with('posts.likes'), /"query_builder_post_test_table" .* relation called "likes"/);
+      should.throws(() => userTable.with(1), TypeError);
+    });
+
+  });
+
+
+  describe('#join()', () => {
+
+    const {ColTypes, KeyTypes} = MySQLPlus;
+    const userTable = new MySQLTable('query_builder_join_user', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey(),
+        name: ColTypes.varchar(255),
+      },
+    }, pool);
+    const postTable = new MySQLTable('query_builder_join_post', {
+      columns: {
+        id: ColTypes.int().unsigned().notNull().primaryKey(),
+        authorID: ColTypes.int().unsigned(),
+        deletedAt: ColTypes.datetime(),
+      },
+      keys: [
+        KeyTypes.foreignKey('authorID').references('query_builder_join_user', 'id'),
+      ],
+      softDelete: 'deletedAt',
+    }, pool);
+    userTable.hasMany('posts', postTable);
+
+    it('should add JOIN clauses with an object, string, or inferred condition', () => {
+      userTable.join(postTable, {id: 'authorID'}, 'left').where('query_builder_join_user.id', 1).toSQL()
+        .should.equal(
+          'LEFT JOIN `query_builder_join_post` ON (`query_builder_join_user`.`id` = `query_builder_join_post`.`authorID`) ' +
+          'AND `query_builder_join_post`.`deletedAt` IS NULL WHERE `query_builder_join_user`.`id` = 1'
+        );
+
+      postTable.withDeleted().join(userTable).toSQL()
+        .should.equal(
+          'INNER JOIN `query_builder_join_user` ' +
+          'ON `query_builder_join_post`.`authorID` = `query_builder_join_user`.`id`'
+        );
+
+      userTable.join(testTable, '`a` = `b`').join(postTable.withDeleted(), {'query_builder_test_table.id': 'id'})
+        .toSQL().should.equal(
+          'INNER JOIN `query_builder_test_table` ON `a` = `b` ' +
+          'INNER JOIN `query_builder_join_post` ON `query_builder_test_table`.`id` = `query_builder_join_post`.`id`'
+        );
+    });
+
+    it('should select the columns of every table with aliases', () => {
+      return userTable.join(postTable.withDeleted()).select('*')
+        .then(() => userTable.join(postTable.withDeleted()).select(['query_builder_join_user.name', 'authorID']))
+        .then(() => {
+          pool.pquery.args.map(args => args[0].sql).should.eql([
+            'SELECT `query_builder_join_user`.`id` AS `query_builder_join_user__id`, ' +
+              '`query_builder_join_user`.`name` AS `query_builder_join_user__name`, ' +
+              '`query_builder_join_post`.`id` AS `query_builder_join_post__id`, ' +
+              '`query_builder_join_post`.`authorID` AS `query_builder_join_post__authorID`, ' +
+              '`query_builder_join_post`.`deletedAt` AS `query_builder_join_post__deletedAt` ' +
+              'FROM `query_builder_join_user` INNER JOIN `query_builder_join_post` ' +
+              'ON `query_builder_join_post`.`authorID` = `query_builder_join_user`.`id`',
+            'SELECT `query_builder_join_user`.`name` AS `query_builder_join_user__name`, `authorID` ' +
+              'FROM `query_builder_join_user` INNER JOIN `query_builder_join_post` ' +
+              'ON `query_builder_join_post`.`authorID` = `query_builder_join_user`.`id`',
+          ]);
+          pool.pquery.args.map(args => args[0].nestTables).should.eql([false, false]);
+        });
+    });
+
+    it('should use the nestTables option if a table does not have a schema', () => {
+      return userTable.join(testTable, {id: 'id'}).select('*')
+        .then(() => {
+          pool.pquery.should.be.calledOnce();
+          pool.pquery.args[0][0].should.have.properties({
+            sql: 'SELECT * FROM `query_builder_join_user` INNER JOIN `query_builder_test_table` ' +
+              'ON `query_builder_join_user`.`id` = `query_builder_test_table`.`id`',
+            nestTables: true,
+          });
+        });
+    });
+
+    it('should cast the values of each table with that table\'s type casting', () => {
+      const castUserTable = new MySQLTable('query_builder_join_user', {
+        columns: {
+          id: ColTypes.int().unsigned().notNull().primaryKey(),
+          name: ColTypes.json(),
+        },
+        typeCast: true,
+      }, pool);
+      const next = sinon.stub().returns('next');
+      const createField = (orgTable, orgName) => ({packet: {orgTable, orgName}, string: () => '"a"'});
+
+      return castUserTable.join(postTable.withDeleted()).select('*')
+        .then(() => {
+          const {typeCast} = pool.pquery.args[0][0];
+          typeCast(createField('query_builder_join_user', 'name'), next).should.equal('a');
+          typeCast(createField('query_builder_join_user', 'id'), next).should.equal('next');
+          typeCast(createField('query_builder_join_post', 'id'), next).should.equal('next');
+        });
+    });
+
+    it('should include the joins when checking for existence', () => {
+      return userTable.join(postTable.withDeleted()).where('authorID', 1).exists()
+        .then(() => {
+          pool.pquery.should.be.calledOnce().and.be.calledWith(
+            'SELECT EXISTS ( SELECT 1 FROM `query_builder_join_user` INNER JOIN `query_builder_join_post` ' +
+            'ON `query_builder_join_post`.`authorID` = `query_builder_join_user`.`id` ' +
+            'WHERE `authorID` = 1 LIMIT 1 ) as `exists`'
+          );
+        });
+    });
+
+    it('should throw if the join is invalid', () => {
+      should.throws(() => userTable.join(userTable), /cannot be joined to itself/);
+      should.throws(() => userTable.join(testTable), /Cannot infer the condition/);
+      should.throws(() => userTable.join(postTable, {id: 'authorID'}, 'RIGHT'), TypeError);
+      should.throws(() => userTable.join(postTable, {}), TypeError);
+      should.throws(() => userTable.join({}), TypeError);
+    });
+
+    it('should fail if the join is used to update or delete rows', (done) => {
+      userTable.join(postTable).delete((err) => {
+        err.should.be.an.Error().with.property('message').match(/Joins can only be used/);
+        pool.pquery.should.not.be.called();
+
+        Promise.all([
+          userTable.join(postTable).update({name: 'a'}).should.be.rejectedWith(/Joins can only be used/),
+          userTable.join(postTable).delete().should.be.rejectedWith(/Joins can only be used/),
+        ])
+          .then(() => {
+            pool.pquery.should.not.be.called();
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+    it('should fail if relations are loaded by a query with joins', (done) => {
+      userTable.join(postTable).with('posts').select('*', (err) => {
+        err.should.be.an.Error().with.property('message', 'Relations cannot be loaded by queries with joins');
+
+        userTable.with('posts').join(postTable).select('*')
+          .should.be.rejectedWith('Relations cannot be loaded by queries with joins')
+          .then(() => {
+            pool.pquery.should.not.be.called();
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+  });
+
+
+  describe('query methods', () => {
+
+    it('should select using the same SQL as MySQLTable#select()', () => {
+      return testTable.where('id', '>', 1).orderBy('id').limit(10).select(['id', 'email'])
+        .then(() => {
+          pool.pquery.should.be.calledOnce().and.be.calledWith(
+            'SELECT `id`, `email` FROM `query_builder_test_table` WHERE `id` > 1 ORDER BY `id` ASC LIMIT 10'
+          );
+        });
+    });
+
+    it('should check for existence using only the WHERE clause', () => {
+      return testTable.where('id', 1).limit(10).exists()
+        .then((exists) => {
+          exists.should.be.true();
+          pool.pquery.should.be.calledOnce().and.be.calledWith(
+            'SELECT EXISTS ( SELECT 1 FROM `query_builder_test_table` WHERE `id` = 1 LIMIT 1 ) as `exists`'
+          );
+        });
+    });
+
+    it('should update using the same SQL as MySQLTable#update()', () => {
+      return testTable.where('id', 1).update({email: 'a@b.c'})
+        .then(() => testTable.where('id', 1).update('`email` = NULL'))
+        .then(() => {
+          pool.pquery.should.be.calledTwice();
+          pool.pquery.firstCall.should.be.calledWith(
+            "UPDATE `query_builder_test_table` SET `email` = 'a@b.c' WHERE `id` = 1"
+          );
+          pool.pquery.secondCall.should.be.calledWith(
+            'UPDATE `query_builder_test_table` SET `email` = NULL WHERE `id` = 1'
+          );
+        });
+    });
+
+    it('should delete using the same SQL as MySQLTable#delete()', () => {
+      return testTable.where('email', 'IS', null).delete()
+        .then(() => {
+          pool.pquery.should.be.calledOnce().and.be.calledWith(
+            'DELETE FROM `query_builder_test_table` WHERE `email` IS NULL'
+          );
+        });
+    });
+
+    it('should pass callbacks through to the MySQLTable methods', () => {
+      function callback() { /* Do nothing */ }
+
+      testTable.where('id', 1).delete(callback);
+      pool.pquery.should.be.calledOnce().and.be.calledWith(
+        'DELETE FROM `query_builder_test_table` WHERE `id` = 1',
+        callback
+      );
+    });
+
+  });
+
+});
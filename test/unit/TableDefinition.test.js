@@ -4,6 +4,8 @@ const MySQLPlus = require('../../lib/MySQLPlus');
 const Operation = require('../../lib/Operation');
 const TableDefinition = require('../../lib/TableDefinition');
 
+const config = require('../config');
+
 describe('TableDefinition', () => {
 
   const existingTableName = 'mock_existing_table_to_migrate';
@@ -21,22 +23,25 @@ describe('TableDefinition', () => {
   const error1 = new Error('Error for ' + throwTable1Name);
   const error2 = new Error('Error for ' + throwTable2Name);
 
+  // The query used to check if a table exists (with the LIKE wildcards in the name escaped)
+  const showTableSQL = tableName => 'SHOW TABLES LIKE ' + MySQLPlus.escape(tableName.replace(/[\\%_]/g, '\\$&'));
+
   // This makes query() synchronous so genSyncOperations() will also be synchronous
   const mockPool = {
     escape: MySQLPlus.escape,
     escapeId: MySQLPlus.escapeId,
     query(sql, cb) {
       switch (sql) {
-        case `SHOW TABLES LIKE '${existingTableName}'`:
+        case showTableSQL(existingTableName):
           cb(null, [existingTableName]);
           break;
         case `SHOW CREATE TABLE \`${existingTableName}\``:
           cb(null, [{'Create Table': existingTableSQL}]);
           break;
-        case `SHOW TABLES LIKE '${throwTable1Name}'`:
+        case showTableSQL(throwTable1Name):
           cb(error1);
           break;
-        case `SHOW TABLES LIKE '${throwTable2Name}'`:
+        case showTableSQL(throwTable2Name):
           cb(null, [throwTable2Name]); // Pretend the table exists
           break;
         case `SHOW CREATE TABLE \`${throwTable2Name}\``:
@@ -67,8 +72,131 @@ describe('TableDefinition', () => {
   });
 
 
+  describe('#genMigrationOperations()', () => {
+
+    it('should pass the error to the callback if querying the database results in an error', () => {
+      new TableDefinition(throwTable1Name, throwTableSchema, mockPool)
+        .genMigrationOperations((err) => {
+          err.should.equal(error1);
+        });
+
+      new TableDefinition(throwTable2Name, throwTableSchema, mockPool)
+        .genMigrationOperations((err) => {
+          err.should.equal(error2);
+        });
+    });
+
+    it('should generate CREATE and DROP TABLE operations if the table does not exist', () => {
+      const tableName = 'table_definition_test_table';
+      const schema = {
+        columns: {
+          id: MySQLPlus.ColTypes.int().unsigned().notNull().primaryKey(),
+        },
+      };
+
+      new TableDefinition(tableName, schema, mockPool, 'safe')
+        .genMigrationOperations((err, operations) => {
+          if (err) throw err;
+          operations.up.should.containDeep([{
+            type: Operation.Types.CREATE_TABLE,
+            sql:
+              'CREATE TABLE `' + tableName + '` (\n' +
+              '  `id` int unsigned NOT NULL,\n' +
+              '  PRIMARY KEY (`id`)\n' +
+              ')',
+          }]);
+          operations.down.should.containDeep([{
+            type: Operation.Types.DROP_TABLE,
+            sql: 'DROP TABLE `' + tableName + '`',
+          }]);
+        });
+    });
+
+    it('should generate migration operations and operations that reverse them if the table exists', () => {
+      const schema = {
+        columns: {
+          id: MySQLPlus.ColTypes.int().unsigned().notNull(),
+          newCol: MySQLPlus.ColTypes.tinyint(),
+        },
+        engine: 'MyISAM',
+      };
+
+      new TableDefinition(existingTableName, schema, mockPool, 'safe')
+        .genMigrationOperations((err, operations) => {
+          if (err) throw err;
+          operations.up.should.have.length(1);
+          operations.up[0].sql.should.equal(
+            'ALTER TABLE `' + existingTableName + '`\n' +
+            '  DROP PRIMARY KEY,\n' +
+            '  ENGINE=MyISAM,\n' +
+            '  ADD COLUMN `newCol` tinyint AFTER `id`,\n' +
+            '  MODIFY COLUMN `id` int unsigned NOT NULL FIRST'
+          );
+          operations.down.should.have.length(1);
+          operations.down[0].sql.should.equal(
+            'ALTER TABLE `' + existingTableName + '`\n' +
+            '  DROP COLUMN `newCol`,\n' +
+            '  MODIFY COLUMN `id` bigint unsigned NOT NULL FIRST,\n' +
+            '  ADD PRIMARY KEY (`id`)'
+          );
+        });
+    });
+
+    it('should rename renamed columns back to their old names when reversed', () => {
+      const schema = {
+        columns: {
+          userID: MySQLPlus.ColTypes.bigint().unsigned().notNull().oldName('id'),
+        },
+        primaryKey: 'userID',
+      };
+
+      new TableDefinition(existingTableName, schema, mockPool, 'safe')
+        .genMigrationOperations((err, operations) => {
+          if (err) throw err;
+          operations.up.map(op => op.sql).should.eql([
+            'ALTER TABLE `' + existingTableName + '`\n' +
+            '  DROP PRIMARY KEY,\n' +
+            '  CHANGE COLUMN `id` `userID` bigint unsigned NOT NULL FIRST,\n' +
+            '  ADD PRIMARY KEY (`userID`)',
+          ]);
+          operations.down.map(op => op.sql).should.eql([
+            'ALTER TABLE `' + existingTableName + '`\n' +
+            '  DROP PRIMARY KEY,\n' +
+            '  CHANGE COLUMN `userID` `id` bigint unsigned NOT NULL FIRST,\n' +
+            '  ADD PRIMARY KEY (`id`)',
+          ]);
+        });
+    });
+
+  });
+
+
   describe('if the table does not exist', () => {
 
+    it('should include check constraints in the CREATE TABLE operation', () => {
+      const tableName = 'table_definition_test_table';
+      const schema = {
+        columns: {
+          price: MySQLPlus.ColTypes.int().notNull(),
+        },
+        keys: [
+          MySQLPlus.KeyTypes.check('chk_price', 'price > 0'),
+        ],
+      };
+
+      new TableDefinition(tableName, schema, mockPool, 'alter')
+        .genSyncOperations((err, operations) => {
+          if (err) throw err;
+          operations.should.have.length(1);
+          operations[0].sql.should.equal(
+            'CREATE TABLE `' + tableName + '` (\n' +
+            '  `price` int NOT NULL,\n' +
+            '  CONSTRAINT `chk_price` CHECK (price > 0)\n' +
+            ')'
+          );
+        });
+    });
+
     it('should always generate a CREATE TABLE operation', () => {
       const tableName = 'table_definition_test_table';
       const schema = {
@@ -142,7 +270,7 @@ describe('TableDefinition', () => {
               '  DROP PRIMARY KEY,\n' +
               '  ADD COLUMN `newCol` tinyint AFTER `id`,\n' +
               '  MODIFY COLUMN `id` int unsigned NOT NULL FIRST',
-            columns: undefined,
+            columns: ['id'],
           },
         ];
         new TableDefinition(existingTableName, newSchema, mockPool, 'alter')
@@ -152,6 +280,178 @@ describe('TableDefinition', () => {
           });
       });
 
+      it('should drop and re-add foreign keys in other tables that reference modified columns', () => {
+        const referencingTableSQL =
+          'CREATE TABLE `mock_referencing_table` (\n' +
+          '  `existingId` bigint unsigned NOT NULL,\n' +
+          '  KEY `fk_existingId_mock_referencing_table` (`existingId`),\n' +
+          '  CONSTRAINT `fk_existingId_mock_referencing_table` FOREIGN KEY (`existingId`) ' +
+          'REFERENCES `' + existingTableName + '` (`id`) ON DELETE CASCADE\n' +
+          ')';
+        const referencingPool = Object.assign({}, mockPool, {
+          query(sql, cb) {
+            if (sql.startsWith('SELECT DISTINCT `TABLE_NAME`, `CONSTRAINT_NAME`')) {
+              sql.should.endWith(
+                "`REFERENCED_TABLE_NAME` = '" + existingTableName + "' AND `REFERENCED_COLUMN_NAME` IN ('id')"
+              );
+              cb(null, [{TABLE_NAME: 'mock_referencing_table', CONSTRAINT_NAME: 'fk_existingId_mock_referencing_table'}]);
+            } else if (sql === 'SHOW CREATE TABLE `mock_referencing_table`') {
+              cb(null, [{'Create Table': referencingTableSQL}]);
+            } else {
+              mockPool.query(sql, cb);
+            }
+          },
+        });
+
+        new TableDefinition(existingTableName, newSchema, referencingPool, 'alter')
+          .genSyncOperations((err, operations) => {
+            if (err) throw err;
+            operations.should.have.length(3);
+            operations.should.containDeep([
+              {
+                type: Operation.Types.DROP_FOREIGN_KEY,
+                sql: 'ALTER TABLE `mock_referencing_table` DROP FOREIGN KEY `fk_existingId_mock_referencing_table`',
+                table: 'mock_referencing_table',
+              },
+              {
+                type: Operation.Types.ADD_FOREIGN_KEY,
+                sql:
+                  'ALTER TABLE `mock_referencing_table` ADD CONSTRAINT `fk_existingId_mock_referencing_table`\n' +
+                  '  FOREIGN KEY (`existingId`) REFERENCES `' + existingTableName + '` (`id`) ON DELETE CASCADE',
+                table: 'mock_referencing_table',
+              },
+            ]);
+          });
+      });
+
+    });
+
+    describe('and check constraints have changed', () => {
+
+      const checkTableName = 'mock_check_table';
+      const checkPool = Object.assign({}, mockPool, {
+        query(sql, cb) {
+          if (sql === showTableSQL(checkTableName)) {
+            cb(null, [checkTableName]);
+          } else if (sql === `SHOW CREATE TABLE \`${checkTableName}\``) {
+            cb(null, [{
+              'Create Table':
+                'CREATE TABLE `' + checkTableName + '` (\n' +
+                '  `a` int DEFAULT NULL,\n' +
+                '  CONSTRAINT `chk_same` CHECK ((`a` > 0)),\n' +
+                '  CONSTRAINT `chk_changed` CHECK ((`a` < 10)),\n' +
+                '  CONSTRAINT `chk_removed` CHECK ((`a` <> 5))\n' +
+                ')',
+            }]);
+          } else {
+            mockPool.query(sql, cb);
+          }
+        },
+      });
+
+      it('should drop and add check constraints', () => {
+        const schema = {
+          columns: {a: MySQLPlus.ColTypes.int()},
+          keys: [
+            MySQLPlus.KeyTypes.check('chk_same', 'a > 0'),
+            MySQLPlus.KeyTypes.check('chk_changed', 'a < 20'),
+            MySQLPlus.KeyTypes.check('chk_new', 'a <> 7'),
+          ],
+        };
+
+        new TableDefinition(checkTableName, schema, checkPool, 'alter')
+          .genSyncOperations((err, operations) => {
+            if (err) throw err;
+            operations.should.have.length(1);
+            operations[0].sql.should.equal(
+              'ALTER TABLE `' + checkTableName + '`\n' +
+              '  DROP CHECK `chk_changed`,\n' +
+              '  DROP CHECK `chk_removed`,\n' +
+              '  ADD CONSTRAINT `chk_changed` CHECK (a < 20),\n' +
+              '  ADD CONSTRAINT `chk_new` CHECK (a <> 7)'
+            );
+          });
+      });
+
+    });
+
+    describe('and the table is being renamed', () => {
+
+      const renamedTableName = 'mock_renamed_table';
+      const renamedSchema = Object.assign({oldName: existingTableName}, newSchema);
+
+      it('should generate RENAME TABLE and migration operations if the strategy is "alter"', () => {
+        new TableDefinition(renamedTableName, renamedSchema, mockPool, 'alter')
+          .genSyncOperations((err, operations) => {
+            if (err) throw err;
+            operations.should.have.length(2);
+            operations.should.containDeepOrdered([
+              {
+                type: Operation.Types.RENAME_TABLE,
+                sql: 'RENAME TABLE `' + existingTableName + '` TO `' + renamedTableName + '`',
+              },
+              {
+                type: Operation.Types.ALTER_TABLE,
+                sql:
+                  'ALTER TABLE `' + renamedTableName + '`\n' +
+                  '  DROP PRIMARY KEY,\n' +
+                  '  ADD COLUMN `newCol` tinyint AFTER `id`,\n' +
+                  '  MODIFY COLUMN `id` int unsigned NOT NULL FIRST',
+              },
+            ]);
+          });
+      });
+
+      it('should generate a CREATE TABLE operation if the strategy is "safe"', () => {
+        new TableDefinition(renamedTableName, renamedSchema, mockPool, 'safe')
+          .genSyncOperations((err, operations) => {
+            if (err) throw err;
+            operations.should.have.length(1);
+            operations[0].type.should.equal(Operation.Types.CREATE_TABLE);
+          });
+      });
+
+      it('should generate migration operations that rename the table back when reversed', () => {
+        new TableDefinition(renamedTableName, renamedSchema, mockPool, 'safe')
+          .genMigrationOperations((err, operations) => {
+            if (err) throw err;
+            operations.up.map(op => op.sql).should.eql([
+              'RENAME TABLE `' + existingTableName + '` TO `' + renamedTableName + '`',
+              'ALTER TABLE `' + renamedTableName + '`\n' +
+              '  DROP PRIMARY KEY,\n' +
+              '  ADD COLUMN `newCol` tinyint AFTER `id`,\n' +
+              '  MODIFY COLUMN `id` int unsigned NOT NULL FIRST',
+            ]);
+            operations.down.map(op => op.sql).should.eql([
+              'RENAME TABLE `' + renamedTableName + '` TO `' + existingTableName + '`',
+              'ALTER TABLE `' + existingTableName + '`\n' +
+              '  DROP COLUMN `newCol`,\n' +
+              '  MODIFY COLUMN `id` bigint unsigned NOT NULL FIRST,\n' +
+              '  ADD PRIMARY KEY (`id`)',
+            ]);
+          });
+      });
+
+      it('should only look for tables with exactly the new or old name', () => {
+        const queries = [];
+        const recordingPool = Object.assign({}, mockPool, {
+          query(sql, cb) {
+            queries.push(sql);
+            cb(null, []);
+          },
+        });
+        const schema = Object.assign({oldName: "mock_old_%_'table"}, newSchema);
+
+        new TableDefinition('mock_new_table', schema, recordingPool, 'alter')
+          .genSyncOperations((err) => {
+            if (err) throw err;
+            queries.should.eql([
+              "SHOW TABLES LIKE 'mock\\\\_new\\\\_table'",
+              "SHOW TABLES LIKE 'mock\\\\_old\\\\_\\\\%\\\\_\\'table'",
+            ]);
+          });
+      });
+
     });
 
     describe('and the migration strategy is "drop"', () => {
@@ -183,4 +483,53 @@ describe('TableDefinition', () => {
 
   });
 
+
+  describe('when check constraints have been synced to the database', () => {
+
+    const pool = MySQLPlus.createPool(config);
+    const tableName = 'table_definition_check_test_table';
+
+    before(function() {
+      return pool.$getServerVersion().then((version) => {
+        const [major, minor, patch] = version.split(/[.-]/).map(Number);
+        const enforcesChecks = /mariadb/i.test(version) ||
+          major > 8 || major === 8 && (minor > 0 || patch >= 16);
+        if (!enforcesChecks) {
+          this.skip(); // Older versions of MySQL ignore check constraints
+        }
+      });
+    });
+
+    after((done) => {
+      pool.pquery('DROP TABLE IF EXISTS ??', [tableName])
+        .then(() => pool.end(done), done);
+    });
+
+    it('should not generate any operations when syncing the same check constraints again', () => {
+      pool.defineTable(tableName, {
+        columns: {
+          id: MySQLPlus.ColTypes.int().unsigned().notNull().primaryKey(),
+          price: MySQLPlus.ColTypes.int().notNull(),
+          discount: MySQLPlus.ColTypes.int().notNull(),
+          status: MySQLPlus.ColTypes.varchar(32).notNull(),
+          name: MySQLPlus.ColTypes.varchar(255),
+        },
+        keys: [
+          MySQLPlus.KeyTypes.check('chk_price', 'price > 0 AND (discount < price OR discount = 0)'),
+          MySQLPlus.KeyTypes.check('chk_discount', '(discount >= 0 OR price > 100) AND discount <= price * 2'),
+          MySQLPlus.KeyTypes.check('chk_status', "status IN ('new', 'sold') AND NOT (status = 'sold' AND price < 1)"),
+          MySQLPlus.KeyTypes.check('chk_name', "name <> \"it's\" AND name <> 'a\\'b' AND name LIKE '%\\%%'"),
+          MySQLPlus.KeyTypes.check('chk_between', 'discount BETWEEN 0 AND 100 OR price - discount > 10'),
+        ],
+      });
+
+      return pool.sync()
+        .then(() => pool.planSync())
+        .then((operations) => {
+          operations.should.eql([]);
+        });
+    });
+
+  });
+
 });
@@ -0,0 +1,44 @@
+'use strict';
+
+const {addWhereCondition, hasJoinClause} = require('../../lib/utils/addWhereCondition');
+
+describe('addWhereCondition', () => {
+
+  it('should add a WHERE clause if there is not one', () => {
+    addWhereCondition('', '`c` IS NULL').should.equal('WHERE `c` IS NULL');
+    addWhereCondition('ORDER BY `id` LIMIT 5', '`c` IS NULL').should.equal('WHERE `c` IS NULL ORDER BY `id` LIMIT 5');
+    addWhereCondition('JOIN `b` ON `b`.`id` = `a`.`bID`', '`a`.`c` IS NULL')
+      .should.equal('JOIN `b` ON `b`.`id` = `a`.`bID` WHERE `a`.`c` IS NULL');
+  });
+
+  it('should combine the condition with an existing WHERE clause', () => {
+    addWhereCondition('WHERE `a` = 1 OR `b` = 2', '`c` IS NULL')
+      .should.equal('WHERE (`a` = 1 OR `b` = 2) AND `c` IS NULL');
+    addWhereCondition('where `a` = ? group by `a` having count(*) > 1', '`c` IS NULL')
+      .should.equal('WHERE (`a` = ?) AND `c` IS NULL group by `a` having count(*) > 1');
+    addWhereCondition('WHERE `a` = 1\nORDER BY `a` DESC\nLIMIT 1 FOR UPDATE', '`c` IS NULL')
+      .should.equal('WHERE (`a` = 1) AND `c` IS NULL ORDER BY `a` DESC\nLIMIT 1 FOR UPDATE');
+  });
+
+  it('should ignore keywords in strings, quoted identifiers, comments, and subqueries', () => {
+    addWhereCondition(
+      "WHERE `a` = 'x LIMIT 1' AND `order by` IN (SELECT `id` FROM `b` WHERE `d` = 1 LIMIT 1) /* LIMIT */",
+      '`c` IS NULL'
+    ).should.equal(
+      "WHERE (`a` = 'x LIMIT 1' AND `order by` IN (SELECT `id` FROM `b` WHERE `d` = 1 LIMIT 1) /* LIMIT */) AND `c` IS NULL"
+    );
+    addWhereCondition("SET `a` = 'WHERE'", '`c` IS NULL').should.equal("SET `a` = 'WHERE' WHERE `c` IS NULL");
+  });
+
+  describe('hasJoinClause()', () => {
+
+    it('should check if the SQL has a JOIN clause at the top level', () => {
+      hasJoinClause('JOIN `b` ON `b`.`id` = `a`.`bID` WHERE `a`.`c` = 1').should.be.true();
+      hasJoinClause('u left join `b` ON `b`.`id` = u.`bID`').should.be.true();
+      hasJoinClause('u WHERE u.`id` = 1').should.be.false();
+      hasJoinClause("WHERE `join` = 'JOIN' AND `id` IN (SELECT `id` FROM `b` JOIN `c`) /* JOIN */").should.be.false();
+    });
+
+  });
+
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const mysql = require('mysql');
+const should = require('should');
+
+const {formatComparison, formatConditions} = require('../../lib/utils/formatConditions');
+
+describe('formatConditions', () => {
+
+  it('should format values as equality comparisons', () => {
+    formatConditions({id: 5, email: "o'neil@example.com"}, mysql)
+      .should.eql(['`id` = 5', "`email` = 'o\\'neil@example.com'"]);
+  });
+
+  it('should format null values as IS NULL comparisons', () => {
+    formatConditions({deletedAt: null}, mysql)
+      .should.eql(['`deletedAt` IS NULL']);
+  });
+
+  it('should format arrays as IN comparisons and empty arrays as FALSE', () => {
+    formatConditions({status: ['a', 'b'], id: []}, mysql)
+      .should.eql(["`status` IN ('a', 'b')", 'FALSE']);
+  });
+
+  it('should format operator objects', () => {
+    formatConditions({age: {$gte: 18, $lt: 65}, name: {$like: 'J%', $ne: null}}, mysql)
+      .should.eql(['`age` >= 18', '`age` < 65', "`name` LIKE 'J%'", '`name` IS NOT NULL']);
+
+    formatConditions({id: {$in: [1, 2], $nin: []}}, mysql)
+      .should.eql(['`id` IN (1, 2)', 'TRUE']);
+  });
+
+  it('should not treat dates, buffers, or raw values as operator objects', () => {
+    formatConditions({
+      created: new Date(Date.UTC(2000, 0, 1)),
+      data: Buffer.from('a'),
+      count: mysql.raw('`count` + 1'),
+    }, {escapeId: mysql.escapeId, escape: value => mysql.escape(value, false, 'Z')})
+      .should.eql([
+        "`created` = '2000-01-01 00:00:00.000'",
+        "`data` = X'61'",
+        '`count` = `count` + 1',
+      ]);
+  });
+
+  it('should return an empty array for an empty conditions object', () => {
+    formatConditions({}, mysql).should.eql([]);
+  });
+
+  it('should throw if given an unknown operator or an IN value that is not an array', () => {
+    should.throws(() => formatConditions({id: {$gt: 1, $between: [1, 2]}}, mysql), TypeError);
+    should.throws(() => formatConditions({id: {$in: 1}}, mysql), TypeError);
+  });
+
+  describe('formatComparison()', () => {
+
+    it('should format a comparison using any operator', () => {
+      formatComparison('user.id', '<=>', null, mysql).should.equal('`user`.`id` <=> NULL');
+      formatComparison('id', '=', null, mysql).should.equal('`id` IS NULL');
+      formatComparison('id', 'NOT IN', [1], mysql).should.equal('`id` NOT IN (1)');
+    });
+
+  });
+
+});
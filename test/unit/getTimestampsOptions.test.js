@@ -0,0 +1,38 @@
+'use strict';
+
+const getTimestampsOptions = require('../../lib/utils/getTimestampsOptions');
+const should = require('should');
+
+describe('getTimestampsOptions', () => {
+
+  it('should return null if the schema does not have the timestamps option', () => {
+    should(getTimestampsOptions(undefined)).be.null();
+    should(getTimestampsOptions({columns: {}})).be.null();
+    should(getTimestampsOptions({timestamps: false})).be.null();
+  });
+
+  it('should fill in the default options', () => {
+    getTimestampsOptions({timestamps: true}).should.eql({
+      created: 'createdAt',
+      updated: 'updatedAt',
+      precision: 0,
+      useServerDefaults: true,
+    });
+
+    getTimestampsOptions({timestamps: {updated: false, precision: 6, useServerDefaults: false}}).should.eql({
+      created: 'createdAt',
+      updated: null,
+      precision: 6,
+      useServerDefaults: false,
+    });
+  });
+
+  it('should throw if the timestamps option is invalid', () => {
+    should.throws(() => getTimestampsOptions({timestamps: 'createdAt'}), TypeError);
+    should.throws(() => getTimestampsOptions({timestamps: {created: 1}}), TypeError);
+    should.throws(() => getTimestampsOptions({timestamps: {created: false, updated: false}}), TypeError);
+    should.throws(() => getTimestampsOptions({timestamps: {created: 'time', updated: 'time'}}), TypeError);
+    should.throws(() => getTimestampsOptions({timestamps: {precision: 1.5}}), TypeError);
+  });
+
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const normalizeExpression = require('../../lib/utils/normalizeExpression');
+
+describe('normalizeExpression', () => {
+
+  it('should normalize whitespace, remove backticks, and make the expression lowercase', () => {
+    normalizeExpression('`Price` > 0 AND\n  Discount<Price')
+      .should.equal('price > 0 and discount < price');
+  });
+
+  it('should remove parentheses that do not change the meaning of the expression', () => {
+    normalizeExpression('((`price` > 0) and (`discount` < `price`))')
+      .should.equal('price > 0 and discount < price');
+
+    normalizeExpression('((((`a` = 1) or (`b` = 2))) and (`c` = 3))')
+      .should.equal('( a = 1 or b = 2 ) and c = 3');
+
+    normalizeExpression('((`a` - `b`) - `c`)').should.equal('a - b - c');
+    normalizeExpression('(`a` - (`b` - `c`))').should.equal('a - ( b - c )');
+    normalizeExpression('((`a` + `b`) * `c`)').should.equal('( a + b ) * c');
+    normalizeExpression('(-(`a`) * `b`)').should.equal('- a * b');
+    normalizeExpression('(-(`a` * `b`))').should.equal('- ( a * b )');
+    normalizeExpression('(not((`a` = 1)))').should.equal('not a = 1');
+    normalizeExpression('(not((`a` = 1) and (`b` = 2)))').should.equal('not ( a = 1 and b = 2 )');
+    normalizeExpression('(`a` is not null)').should.equal('a is not null');
+  });
+
+  it('should not consider expressions with differently grouped operators to be the same', () => {
+    normalizeExpression('(a OR b) AND c')
+      .should.not.equal(normalizeExpression('a OR (b AND c)'));
+
+    normalizeExpression('(a OR b) AND c')
+      .should.equal(normalizeExpression('((`a` or `b`) and `c`)'));
+
+    normalizeExpression('a OR (b AND c)')
+      .should.equal(normalizeExpression('(`a` or (`b` and `c`))'));
+
+    normalizeExpression('(a + b) * c')
+      .should.not.equal(normalizeExpression('a + b * c'));
+  });
+
+  it('should treat the AND in a BETWEEN expression as part of the BETWEEN operator', () => {
+    normalizeExpression('((`a` between 1 and 5) or (`b` not between 2 and 3))')
+      .should.equal('a between 1 and 5 or b not between 2 and 3');
+
+    normalizeExpression('(`a` between (1 and 5))')
+      .should.equal('a between ( 1 and 5 )');
+  });
+
+  it('should keep the parentheses of function calls, lists, and row constructors', () => {
+    normalizeExpression("(json_unquote(json_extract(`data`,_utf8mb4'$.name')) <> '')")
+      .should.equal("json_unquote ( json_extract ( data , '$.name' ) ) <> ''");
+
+    normalizeExpression('((`a`,`b`) = (1,2))')
+      .should.equal('( a , b ) = ( 1 , 2 )');
+  });
+
+  it('should not change the contents of string literals', () => {
+    normalizeExpression("Name <> 'A (B)' OR Name = 'C  D'")
+      .should.equal("name <> 'A (B)' or name = 'C  D'");
+  });
+
+  it('should write string literals the same way that MySQL does', () => {
+    normalizeExpression('`name` <> "C D"').should.equal("name <> 'C D'");
+    normalizeExpression('`name` <> "C D"').should.equal(normalizeExpression("(`name` <> _utf8mb4'C D')"));
+
+    normalizeExpression("a = 'it\\'s' OR b = \"it's\" OR c = 'say \"\"hi\"\"' OR d = \"say \"\"hi\"\"\"")
+      .should.equal("a = 'it''s' or b = 'it''s' or c = 'say \"\"hi\"\"' or d = 'say \"hi\"'");
+
+    normalizeExpression("a = 'it''s'").should.equal(normalizeExpression("(`a` = _utf8mb4'it\\'s')"));
+    normalizeExpression("a = 'x\\ny'").should.equal(normalizeExpression("a = 'x\ny'"));
+    normalizeExpression("a LIKE '100\\%'").should.equal("a like '100\\\\%'");
+    normalizeExpression("a LIKE '100\\%'").should.not.equal(normalizeExpression("a LIKE '100%'"));
+  });
+
+  it('should remove character set introducers before string literals', () => {
+    normalizeExpression("(`status` in (_utf8mb4'a',_latin1'b'))")
+      .should.equal("status in ( 'a' , 'b' )");
+
+    normalizeExpression('_a = 1').should.equal('_a = 1');
+    normalizeExpression("_a = 'b'").should.equal("_a = 'b'");
+  });
+
+  it('should use the same inequality operator that MySQL uses', () => {
+    normalizeExpression('a != 1').should.equal('a <> 1');
+  });
+
+});
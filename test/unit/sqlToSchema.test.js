@@ -33,6 +33,52 @@ describe('sqlToSchema', () => {
       .onUpdateCurrentTimestamp()
       .$equals(schema.columns.dt)
       .should.be.true();
+
+    const fspSchema = sqlToSchema(`
+      CREATE TABLE \`test\` (
+        \`dt\` datetime(3) DEFAULT current_timestamp(3) ON UPDATE current_timestamp(3)
+      )
+    `);
+
+    ColumnDefinitions.datetime(3)
+      .defaultCurrentTimestamp()
+      .onUpdateCurrentTimestamp()
+      .$equals(fspSchema.columns.dt)
+      .should.be.true();
+  });
+
+
+  it('should parse check constraints', () => {
+    const schema = sqlToSchema(`
+      CREATE TABLE \`test\` (
+        \`price\` int DEFAULT NULL,
+        CONSTRAINT \`chk_price\` CHECK ((\`price\` > 0)),
+        CONSTRAINT \`chk_not_enforced\` CHECK ((\`price\` < 100)) /*!80016 NOT ENFORCED */
+      )
+    `);
+
+    schema.checks.should.have.keys('chk_price', 'chk_not_enforced');
+    schema.checks.chk_price.$toSQL().should.equal('CONSTRAINT `chk_price` CHECK ((`price` > 0))');
+    schema.checks.chk_not_enforced.$toSQL().should.equal('CONSTRAINT `chk_not_enforced` CHECK ((`price` < 100))');
+  });
+
+  it('should parse generated columns', () => {
+    const schema = sqlToSchema(`
+      CREATE TABLE \`test\` (
+        \`data\` json DEFAULT NULL,
+        \`name\` varchar(255) COLLATE utf8mb4_unicode_ci GENERATED ALWAYS AS (json_unquote(json_extract(\`data\`,_utf8mb4'$.name'))) VIRTUAL,
+        \`notNull\` int(11) GENERATED ALWAYS AS ((\`a\` is not null)) STORED NOT NULL
+      )
+    `);
+
+    ColumnDefinitions.varchar(255)
+      .collate('utf8mb4_unicode_ci')
+      .generatedAs("json_unquote(json_extract(`data`, '$.name'))")
+      .$equals(schema.columns.name)
+      .should.be.true();
+
+    schema.columns.notNull.$toSQL()
+      .should.equal('int(11) GENERATED ALWAYS AS ((`a` is not null)) STORED NOT NULL');
   });
 
 });